@@ -0,0 +1,260 @@
+/*
+    Buffer the index operations of the post-save and post-remove hooks, and send them in bulk requests
+ */
+var async = require('async'),
+    util = require('util'),
+    helpers = require('./helpers'),
+    sync = require('./sync'),
+    retry = require('./retry'),
+    errors = require('./errors')
+
+// default number of milliseconds to buffer operations for before sending them
+var FLUSH_INTERVAL = 1000
+
+// default number of buffered documents that triggers a flush
+var MAX_SIZE = 500
+
+// one buffer per elasticsearch alias, keyed by alias name
+var buffers = {}
+
+/**
+ * Get the buffer for the alias that `options` index into, creating it if needed.
+ *
+ * @param  {Object} options
+ * @return {Object}
+ * @api private
+ */
+function getBuffer (options) {
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    if (!buffers[aliasName]) {
+        buffers[aliasName] = {
+            aliasName: aliasName,
+            options: options,
+            // buffered operations, keyed by document `_id`. The last operation on a document wins
+            operations: {},
+            size: 0,
+            timer: null,
+            // bulk requests are sent one at a time, so that operations on a document are applied in order
+            queue: async.queue(sendOperations, 1)
+        }
+    }
+
+    return buffers[aliasName]
+}
+
+/**
+ * Buffer indexing (`action` = 'index') or unindexing (`action` = 'unindex') `doc`. Its current state is serialized now.
+ *
+ * The buffer is flushed after `options.bufferWrites.flushInterval` ms, or as soon as it holds `options.bufferWrites.maxSize`
+ * documents. Once sent, `doc` emits `elmongoose-indexed` or `elmongoose-unindexed`, unless elasticsearch rejected it.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {String}             action
+ * @param  {Object}             options
+ */
+exports.add = function (doc, action, options) {
+    var bufferOpts = typeof options.bufferWrites === 'object' ? options.bufferWrites : {}
+    var buffer = getBuffer(options)
+
+    buffer.options = options
+
+    if (!buffer.operations[doc.id]) {
+        buffer.size++
+    }
+
+    buffer.operations[doc.id] = {
+        action: action,
+        doc: doc,
+        command: action === 'index' ? helpers.makeIndexCommand(buffer.aliasName, doc, options) : helpers.makeDeleteCommand(buffer.aliasName, doc, options),
+        body: action === 'index' ? helpers.serializeModel(doc, options) : null
+    }
+
+    if (buffer.size >= (bufferOpts.maxSize || MAX_SIZE)) {
+        return flushBuffer(buffer)
+    }
+
+    if (!buffer.timer) {
+        buffer.timer = setTimeout(function () {
+            buffer.timer = null
+            flushBuffer(buffer)
+        }, bufferOpts.flushInterval || FLUSH_INTERVAL)
+    }
+}
+
+/**
+ * Drop the buffered operations for `ids`, eg. because they are about to be reindexed from their current state in MongoDB.
+ *
+ * @param  {Object} options
+ * @param  {Array}  ids
+ */
+exports.discard = function (options, ids) {
+    var buffer = buffers[helpers.makeIndexName(options).toLowerCase()]
+
+    if (!buffer) {
+        return
+    }
+
+    ids.map(String).forEach(function (id) {
+        if (buffer.operations[id]) {
+            delete buffer.operations[id]
+            buffer.size--
+        }
+    })
+}
+
+/**
+ * Send every buffered operation, and wait for bulk requests in flight to complete.
+ *
+ * @param  {Function} cb    Signature: function (err)
+ */
+exports.flushAll = function (cb) {
+    async.each(Object.keys(buffers), function (aliasName, next) {
+        flushBuffer(buffers[aliasName], next)
+    }, cb)
+}
+
+/**
+ * Move the buffered operations to the queue of bulk requests.
+ *
+ * @param  {Object}     buffer
+ * @param  {Function}   cb      called once they are sent (optional). Signature: function (err)
+ * @api private
+ */
+function flushBuffer (buffer, cb) {
+    // errors are reported per document, so flushes nobody waits on can ignore them
+    cb = cb || function () {}
+
+    clearTimeout(buffer.timer)
+    buffer.timer = null
+
+    var operations = buffer.operations
+
+    buffer.operations = {}
+    buffer.size = 0
+
+    // queued even if empty, to wait for the bulk requests in flight
+    buffer.queue.push({ aliasName: buffer.aliasName, options: buffer.options, operations: operations }, cb)
+}
+
+/**
+ * Send a batch of buffered operations in one bulk request.
+ *
+ * @param  {Object}     task    Keys: aliasName, options, operations
+ * @param  {Function}   cb      Signature: function (err)
+ * @api private
+ */
+function sendOperations (task, cb) {
+    enrichOperations(task, function () {
+        sendBulkRequest(task, cb)
+    })
+}
+
+/**
+ * Enrich the documents of a batch, which were serialized when they were buffered (see `helpers.enrichSerialized()`).
+ * Documents that fail to be enriched are reported, and left out of the batch.
+ *
+ * @param  {Object}     task    Keys: aliasName, options, operations
+ * @param  {Function}   cb      Signature: function ()
+ * @api private
+ */
+function enrichOperations (task, cb) {
+    var options = task.options
+
+    async.eachSeries(Object.keys(task.operations), function (id, next) {
+        var operation = task.operations[id]
+
+        if (operation.action !== 'index') {
+            return next()
+        }
+
+        helpers.enrichSerialized(operation.doc, operation.body, options, function (err, enriched) {
+            if (err) {
+                delete task.operations[id]
+                errors.report(err, 'index', options, operation.doc.constructor, operation.doc)
+                return next()
+            }
+
+            operation.body = enriched
+            return next()
+        })
+    }, cb)
+}
+
+/**
+ * Send the operations of a batch in one bulk request.
+ *
+ * @param  {Object}     task    Keys: aliasName, options, operations
+ * @param  {Function}   cb      Signature: function (err)
+ * @api private
+ */
+function sendBulkRequest (task, cb) {
+    var ids = Object.keys(task.operations)
+
+    if (!ids.length) {
+        return cb()
+    }
+
+    var options = task.options
+    var commandSequence = []
+
+    ids.forEach(function (id) {
+        var operation = task.operations[id]
+
+        commandSequence.push(operation.command)
+
+        if (operation.action === 'index') {
+            commandSequence.push(operation.body)
+        }
+    })
+
+    sync.bulkIndexRequest(task.aliasName, commandSequence, options, function (err, failures) {
+        if (err) {
+            var error = new Error('Elasticsearch buffered indexing error: '+util.inspect(err, true, 10, true))
+            error.details = err
+
+            ids.forEach(function (id) {
+                var operation = task.operations[id]
+
+                errors.report(error, operation.action, options, operation.doc.constructor, operation.doc)
+
+                // persist the operation, to replay it once elasticsearch is reachable
+                retry.add(operation.doc.constructor, options, [ operation.doc._id ], operation.action, error)
+            })
+
+            return cb(error)
+        }
+
+        var failedIds = {}
+
+        failures.forEach(function (failure) {
+            failedIds[failure._id] = failure
+        })
+
+        ids.forEach(function (id) {
+            var operation = task.operations[id]
+
+            if (failedIds[id]) {
+                var error = new Error('Elasticsearch rejected buffered document: '+util.inspect(failedIds[id], true, 10, true))
+                error.failure = failedIds[id]
+
+                // persist the operation if elasticsearch was only overloaded or unavailable
+                if (helpers.isRetryableStatus(failedIds[id].status)) {
+                    retry.add(operation.doc.constructor, options, [ operation.doc._id ], operation.action, error)
+                }
+
+                return errors.report(error, operation.action, options, operation.doc.constructor, operation.doc)
+            }
+
+            operation.doc.emit(operation.action === 'index' ? 'elmongoose-indexed' : 'elmongoose-unindexed', { _id: id })
+        })
+
+        if (failures.length) {
+            var error = new Error('Elasticsearch rejected buffered documents: '+util.inspect(failures, true, 10, true))
+            error.failures = failures
+            return cb(error)
+        }
+
+        return cb()
+    })
+}
@@ -0,0 +1,209 @@
+/*
+    Persist `Model.sync()`, `Model.syncSince()` and `Model.watchAndSync()` progress in MongoDB, so they can be resumed,
+    and the history of index versions made live by `Model.sync()`, so `Model.rollbackIndex()` only goes back to those
+ */
+
+// name of the collection holding one checkpoint document per elasticsearch alias
+var DEFAULT_COLLECTION = 'elmongoose_checkpoints'
+
+/**
+ * Get the mongodb collection that checkpoints are stored in.
+ *
+ * @param  {Mongoose model} model
+ * @param  {Object}         options
+ * @return {Object}
+ * @api private
+ */
+function getCollection (model, options) {
+    return model.db.collection(options.checkpointCollection || DEFAULT_COLLECTION)
+}
+
+/**
+ * Load the checkpoint for the sync into `aliasName`.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err, checkpoint). `checkpoint` is null if none was saved.
+ */
+exports.load = function (model, aliasName, options, cb) {
+    getCollection(model, options).findOne({ _id: aliasName }, function (err, checkpoint) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, checkpoint || null)
+    })
+}
+
+/**
+ * Save the checkpoint for the sync into `aliasName`.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         checkpoint  Keys: indexName, lastId, indexed
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.save = function (model, aliasName, checkpoint, options, cb) {
+    var doc = {
+        _id: aliasName,
+        indexName: checkpoint.indexName,
+        lastId: checkpoint.lastId,
+        indexed: checkpoint.indexed,
+        updatedAt: new Date()
+    }
+
+    getCollection(model, options).update({ _id: aliasName }, doc, { upsert: true, w: 1 }, function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Remove the checkpoint for the sync into `aliasName` (once the sync is complete).
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.remove = function (model, aliasName, options, cb) {
+    getCollection(model, options).remove({ _id: aliasName }, { w: 1 }, function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Load the oplog position that `Model.watchAndSync()` last applied to `aliasName`.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err, ts). `ts` is null if none was saved.
+ */
+exports.loadOplogPosition = function (model, aliasName, options, cb) {
+    getCollection(model, options).findOne({ _id: aliasName + ':oplog' }, function (err, position) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, position ? position.ts : null)
+    })
+}
+
+/**
+ * Save the oplog position that `Model.watchAndSync()` last applied to `aliasName`.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Timestamp}      ts          timestamp of the last oplog entry applied
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.saveOplogPosition = function (model, aliasName, ts, options, cb) {
+    var doc = {
+        _id: aliasName + ':oplog',
+        ts: ts,
+        updatedAt: new Date()
+    }
+
+    getCollection(model, options).update({ _id: doc._id }, doc, { upsert: true, w: 1 }, function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Load the position that an interrupted `Model.syncSince()` into `aliasName` reached.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err, position). `position` is null if none was saved.
+ */
+exports.loadSincePosition = function (model, aliasName, options, cb) {
+    getCollection(model, options).findOne({ _id: aliasName + ':since' }, function (err, position) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, position || null)
+    })
+}
+
+/**
+ * Save the position that `Model.syncSince()` into `aliasName` reached.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         position    Keys: since, field, phase, lastValue, lastId
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.saveSincePosition = function (model, aliasName, position, options, cb) {
+    var doc = {
+        _id: aliasName + ':since',
+        since: position.since,
+        field: position.field,
+        phase: position.phase,
+        lastValue: position.lastValue,
+        lastId: position.lastId,
+        updatedAt: new Date()
+    }
+
+    getCollection(model, options).update({ _id: doc._id }, doc, { upsert: true, w: 1 }, function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Remove the position of `Model.syncSince()` into `aliasName` (once it's complete).
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.removeSincePosition = function (model, aliasName, options, cb) {
+    getCollection(model, options).remove({ _id: aliasName + ':since' }, { w: 1 }, function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Load the index versions that `Model.sync()` made live behind `aliasName` and that can still be rolled back to.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err, indices). `indices` is ordered oldest first - the live one last.
+ */
+exports.loadLiveHistory = function (model, aliasName, options, cb) {
+    getCollection(model, options).findOne({ _id: aliasName + ':history' }, function (err, history) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, history ? history.indices : [])
+    })
+}
+
+/**
+ * Save the index versions that `Model.sync()` made live behind `aliasName` and that can still be rolled back to.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         aliasName
+ * @param  {Array}          indices     index names, oldest first - the live one last
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err)
+ */
+exports.saveLiveHistory = function (model, aliasName, indices, options, cb) {
+    var doc = {
+        _id: aliasName + ':history',
+        indices: indices,
+        updatedAt: new Date()
+    }
+
+    getCollection(model, options).update({ _id: doc._id }, doc, { upsert: true, w: 1 }, function (err) {
+        return cb(err)
+    })
+}
@@ -0,0 +1,355 @@
+/*
+    Diff a collection against its elasticsearch index, and optionally repair the differences
+ */
+var async = require('async'),
+    util = require('util'),
+    helpers = require('./helpers'),
+    sync = require('./sync')
+
+// default number of documents to compare per round trip
+var BATCH_SIZE = 500
+
+/**
+ * Walk `model`'s collection and its live index by `_id`, and report:
+ *  - missing:  documents in the collection that are not in the index
+ *  - extra:    documents in the index that are not in the collection (or are excluded by the index filter)
+ *  - stale:    documents whose indexed form differs from their serialized form. If `checkOpts.versionField`
+ *              is specified (eg. `updatedAt` or `__v`), only that field is compared.
+ *
+ * With `checkOpts.repair`, each batch is repaired right after it is compared: missing and stale documents are bulk
+ * indexed, and extra documents bulk deleted. Only counters and failures are kept between batches, so the `_id` lists
+ * are not collected when repairing.
+ *
+ * @param  {Mongoose model}     model
+ * @param  {Object}             options
+ * @param  {Object}             checkOpts   Keys: versionField, repair, batchSize
+ * @param  {Function}           cb          Signature: function (err, result)
+ */
+module.exports = function (model, options, checkOpts, cb) {
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+    var batchSize = checkOpts.batchSize || BATCH_SIZE
+    var indexFilter = helpers.getIndexFilter(model.schema, options)
+
+    var result = {
+        // number of documents checked in the collection and in the index
+        checked: 0,
+        indexed: 0,
+        // number of inconsistent documents
+        missingCount: 0,
+        extraCount: 0,
+        staleCount: 0,
+        // `_id`s of inconsistent documents (null when repairing)
+        missing: checkOpts.repair ? null : [],
+        extra: checkOpts.repair ? null : [],
+        stale: checkOpts.repair ? null : [],
+        repaired: checkOpts.repair ? { indexed: 0, deleted: 0, failures: [] } : null
+    }
+
+    async.series({
+        // walk the collection in `_id` order, looking up each batch of documents in the index
+        checkCollection: function (next) {
+            var lastId = null
+            var done = false
+
+            async.until(function () { return done }, function (untilNext) {
+                var query = lastId ? { _id: { $gt: lastId } } : {}
+
+                model.find(helpers.applyIndexFilterQuery(query, indexFilter)).sort({ _id: 1 }).limit(batchSize).exec(function (err, docs) {
+                    if (err) {
+                        return untilNext(err)
+                    }
+
+                    if (!docs.length) {
+                        done = true
+                        return untilNext()
+                    }
+
+                    lastId = docs[docs.length - 1]._id
+
+                    docs = docs.filter(function (doc) {
+                        return !indexFilter || !indexFilter.test || indexFilter.test(doc)
+                    })
+
+                    result.checked += docs.length
+
+                    compareBatch(docs, aliasName, options, checkOpts, function (err, missingDocs, staleDocs) {
+                        if (err) {
+                            return untilNext(err)
+                        }
+
+                        result.missingCount += missingDocs.length
+                        result.staleCount += staleDocs.length
+
+                        if (!checkOpts.repair) {
+                            missingDocs.forEach(function (doc) { result.missing.push(doc.id) })
+                            staleDocs.forEach(function (doc) { result.stale.push(doc.id) })
+
+                            return untilNext()
+                        }
+
+                        return repairBatch(missingDocs.concat(staleDocs), [], aliasName, options, result.repaired, untilNext)
+                    })
+                })
+            }, next)
+        },
+        // scroll through the index, looking up each batch of `_id`s in the collection
+        checkIndex: function (next) {
+            scrollIds(aliasName, options, batchSize, function (ids, scrollNext) {
+                result.indexed += ids.length
+
+                var query = helpers.applyIndexFilterQuery({ _id: { $in: ids } }, indexFilter)
+
+                model.find(query).exec(function (err, docs) {
+                    if (err) {
+                        return scrollNext(err)
+                    }
+
+                    var foundIds = {}
+
+                    docs.forEach(function (doc) {
+                        if (!indexFilter || !indexFilter.test || indexFilter.test(doc)) {
+                            foundIds[doc.id] = true
+                        }
+                    })
+
+                    var extraIds = ids.filter(function (id) {
+                        return !foundIds[id]
+                    })
+
+                    result.extraCount += extraIds.length
+
+                    if (!checkOpts.repair) {
+                        result.extra = result.extra.concat(extraIds)
+
+                        return scrollNext()
+                    }
+
+                    return repairBatch([], extraIds, aliasName, options, result.repaired, scrollNext)
+                })
+            }, next)
+        }
+    }, function (err) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, result)
+    })
+}
+
+/**
+ * Bulk index `docsToIndex` and delete `idsToDelete` from `indexName`, in one request, and add the outcome to `repaired`.
+ *
+ * @param  {Array}      docsToIndex     mongoose documents
+ * @param  {Array}      idsToDelete
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Object}     repaired        Keys: indexed, deleted, failures
+ * @param  {Function}   cb              Signature: function (err)
+ * @api private
+ */
+function repairBatch (docsToIndex, idsToDelete, indexName, options, repaired, cb) {
+    if (!docsToIndex.length && !idsToDelete.length) {
+        return cb()
+    }
+
+    var commandSequence = []
+
+    async.eachSeries(docsToIndex, function (doc, eachNext) {
+        helpers.serializeDocument(doc, options, function (err, serialized) {
+            if (err) {
+                return eachNext(err)
+            }
+
+            commandSequence.push(helpers.makeIndexCommand(indexName, doc, options))
+            commandSequence.push(serialized)
+
+            return eachNext()
+        })
+    }, function (err) {
+        if (err) {
+            return cb(err)
+        }
+
+        idsToDelete.forEach(function (id) {
+            commandSequence.push({ delete: { _index: indexName, _type: options.type, _id: id } })
+        })
+
+        sync.bulkIndexRequest(indexName, commandSequence, options, function (err, failures) {
+            if (err) {
+                return cb(err)
+            }
+
+            var failedIds = {}
+
+            failures.forEach(function (failure) {
+                failedIds[failure._id] = true
+            })
+
+            repaired.indexed += docsToIndex.filter(function (doc) { return !failedIds[doc.id] }).length
+            repaired.deleted += idsToDelete.filter(function (id) { return !failedIds[id] }).length
+            repaired.failures = repaired.failures.concat(failures)
+
+            return cb()
+        })
+    })
+}
+
+/**
+ * Look up `docs` in the index, call `cb` with the documents missing from it and the stale ones.
+ *
+ * @param  {Array}      docs        mongoose documents
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Object}     checkOpts
+ * @param  {Function}   cb          Signature: function (err, missingDocs, staleDocs)
+ * @api private
+ */
+function compareBatch (docs, indexName, options, checkOpts, cb) {
+    if (!docs.length) {
+        return cb(null, [], [])
+    }
+
+    var reqOpts = {
+        method: 'POST',
+        url: helpers.makeDomainUri(options) + '/' + indexName + '/' + options.type + '/_mget',
+        body: JSON.stringify({ ids: docs.map(function (doc) { return doc.id }) })
+    }
+
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    helpers.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        if (!Array.isArray(body.docs)) {
+            var error = new Error('Unexpected multi get reply for index '+indexName+'. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+            return cb(error)
+        }
+
+        var missingDocs = []
+        var staleDocs = []
+
+        // `_mget` replies in the order the ids were requested
+        async.eachSeries(docs.map(function (doc, i) { return i }), function (i, next) {
+            var doc = docs[i]
+            var indexedDoc = body.docs[i]
+
+            if (!indexedDoc || !(indexedDoc.found || indexedDoc.exists)) {
+                missingDocs.push(doc)
+                return next()
+            }
+
+            helpers.serializeDocument(doc, options, function (err, serialized) {
+                if (err) {
+                    return next(err)
+                }
+
+                // round-trip through JSON, the way the document is sent to elasticsearch
+                serialized = JSON.parse(JSON.stringify(serialized))
+
+                var current = checkOpts.versionField ? serialized[checkOpts.versionField] : serialized
+                var indexed = checkOpts.versionField ? indexedDoc._source[checkOpts.versionField] : indexedDoc._source
+
+                if (helpers.canonicalJSON(current) !== helpers.canonicalJSON(indexed)) {
+                    staleDocs.push(doc)
+                }
+
+                return next()
+            })
+        }, function (err) {
+            if (err) {
+                return cb(err)
+            }
+
+            return cb(null, missingDocs, staleDocs)
+        })
+    })
+}
+
+/**
+ * Scroll through the `_id`s of all documents in `indexName`, passing each page of them to `onIds`.
+ *
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Number}     pageSize
+ * @param  {Function}   onIds       Signature: function (ids, next)
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function scrollIds (indexName, options, pageSize, onIds, cb) {
+    function scrollRequest (reqOpts, scrollNext) {
+        if(options.auth) {
+            reqOpts.auth = {
+                user: options.auth.user,
+                pass: options.auth.password,
+                sendImmediately: false
+            };
+        }
+
+        helpers.backOffRequest(reqOpts, function (err, res, body) {
+            if (err) {
+                return scrollNext(err)
+            }
+
+            if (!body.hits || !body._scroll_id) {
+                var error = new Error('Unexpected scroll reply for index '+indexName+'. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+                error.elasticsearchReply = body
+                return scrollNext(error)
+            }
+
+            return scrollNext(null, body)
+        })
+    }
+
+    function nextPage (scrollId) {
+        var reqOpts = {
+            method: 'POST',
+            url: helpers.makeDomainUri(options) + '/_search/scroll?scroll=1m',
+            body: scrollId
+        }
+
+        scrollRequest(reqOpts, function (err, body) {
+            if (err) {
+                return cb(err)
+            }
+
+            if (!body.hits.hits.length) {
+                return cb()
+            }
+
+            var ids = body.hits.hits.map(function (hit) { return hit._id })
+
+            onIds(ids, function (err) {
+                if (err) {
+                    return cb(err)
+                }
+
+                return nextPage(body._scroll_id)
+            })
+        })
+    }
+
+    // a scan search only returns a scroll id - the hits come from scrolling
+    var reqOpts = {
+        method: 'POST',
+        url: helpers.makeDomainUri(options) + '/' + indexName + '/' + options.type + '/_search?search_type=scan&scroll=1m',
+        body: JSON.stringify({ query: { match_all: {} }, size: pageSize, fields: [] })
+    }
+
+    scrollRequest(reqOpts, function (err, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        return nextPage(body._scroll_id)
+    })
+}
@@ -3,7 +3,15 @@ var request = require('request'),
     util = require('util'),
     url = require('url'),
     helpers = require('./helpers'),
-    sync = require('./sync')
+    sync = require('./sync'),
+    checkIndexConsistency = require('./consistency'),
+    watchAndSync = require('./watch'),
+    queries = require('./queries'),
+    writeBuffer = require('./buffer'),
+    retry = require('./retry'),
+    populate = require('./populate'),
+    errors = require('./errors'),
+    EventEmitter = require('events').EventEmitter
 
 // turn off request pooling
 request.defaults({ agent:false })
@@ -19,48 +27,231 @@ var elasticUrlOptions = null
  */
 module.exports = elmongoose = function (schema, options) {
 
+    // fail early on an `externalVersion` that can't order the writes
+    helpers.checkExternalVersion(schema, options)
+
     // attach methods to schema
-    schema.methods.index = index
-    schema.methods.unindex = unindex
+    schema.methods.index = function (indexOpts, cb) {
+        return callDocumentMethod(this, index, indexOpts, cb)
+    }
+
+    schema.methods.unindex = function (indexOpts, cb) {
+        return callDocumentMethod(this, unindex, indexOpts, cb)
+    }
+
+    // `doc.index([options], [cb])` defaults to the plugin options
+    function callDocumentMethod (doc, method, indexOpts, cb) {
+        if (typeof indexOpts === 'function') {
+            cb = indexOpts
+            indexOpts = null
+        }
+
+        options = helpers.mergeModelOptions(options, doc.constructor)
+
+        return helpers.callbackOrPromise(cb, function (cb) {
+            method.call(doc, indexOpts || options, cb)
+        })
+    }
+
+    schema.statics.sync = function (syncOpts, cb) {
+        if (typeof syncOpts === 'function') {
+            cb = syncOpts
+            syncOpts = {}
+        }
+
+        options = helpers.mergeModelOptions(options, this)
+
+        if (typeof cb === 'function') {
+            return sync.call(this, schema, options, syncOpts || {}, cb)
+        }
+
+        // without a callback, return a Promise for the sync report - it can still be listened on for the sync events
+        var self = this
+        var emitter
+
+        var promise = new Promise(function (resolve, reject) {
+            emitter = sync.call(self, schema, options, syncOpts || {}, function (err, docsToIndex, report) {
+                if (err) {
+                    return reject(err)
+                }
+
+                return resolve(report)
+            })
+        })
+
+        ;[ 'on', 'once', 'removeListener' ].forEach(function (method) {
+            promise[method] = function () {
+                emitter[method].apply(emitter, arguments)
+                return promise
+            }
+        })
+
+        return promise
+    }
+
+    schema.statics.syncSince = function (sinceOpts, cb) {
+        options = helpers.mergeModelOptions(options, this)
+        return sync.syncSince(this, options, sinceOpts, cb)
+    }
+
+    schema.statics.rollbackIndex = function (cb) {
+        options = helpers.mergeModelOptions(options, this)
+        return sync.rollbackIndex(this, options, cb)
+    }
+
+    schema.statics.checkIndexConsistency = function (checkOpts, cb) {
+        if (typeof checkOpts === 'function') {
+            cb = checkOpts
+            checkOpts = {}
+        }
+
+        options = helpers.mergeModelOptions(options, this)
+        return checkIndexConsistency(this, options, checkOpts || {}, cb)
+    }
 
-    schema.statics.sync = function (cb) {
+    schema.statics.watchAndSync = function (watchOpts) {
         options = helpers.mergeModelOptions(options, this)
-        return sync.call(this, schema, options, cb)
+        return watchAndSync(this, options, watchOpts || {})
     }
 
     schema.statics.search = function (searchOpts, cb) {
         options = helpers.mergeModelOptions(options, this)
 
-        var searchUri = helpers.makeIndexUri(options) + '*/_search?search_type=dfs_query_then_fetch&preference=_primary_first'
+        var searchUri = helpers.makeIndexUri(options) + '/_search?search_type=dfs_query_then_fetch&preference=_primary_first'
 
-        return helpers.doSearchAndNormalizeResults(searchUri, searchOpts, cb, options)
+        return helpers.callbackOrPromise(cb, function (cb) {
+            helpers.doSearchAndNormalizeResults(searchUri, searchOpts, cb, options)
+        })
     }
 
     schema.statics.aggregateCount = function (searchOpts, cb) {
         options = helpers.mergeModelOptions(options, this)
 
-        var searchUri = helpers.makeIndexUri(options) + '*/_search?search_type=count&preference=_primary_first'
+        var searchUri = helpers.makeIndexUri(options) + '/_search?search_type=count&preference=_primary_first'
         if(!searchOpts){
             searchOpts = {};
         }
-        return helpers.doAggAndNormalizeResults(searchUri, searchOpts, cb, options)
+        return helpers.callbackOrPromise(cb, function (cb) {
+            helpers.doAggAndNormalizeResults(searchUri, searchOpts, cb, options)
+        })
     }
 
+    // query updates and removes don't run the document middleware, so reindex the documents they affect
+    queries.hookedStatics.forEach(function (method) {
+        schema.statics[method] = function () {
+            options = helpers.mergeModelOptions(options, this)
+            return queries.callStatic(this, method, arguments, options)
+        }
+    })
+
+    // reindex documents when the documents they populate change
+    populate.register(schema, options)
+
+    // replay the index operations a previous process left pending, and list them in `elmongoose.pendingOperations()`
+    schema.on('init', function (model) {
+        options = helpers.mergeModelOptions(options, model)
+        retry.register(model, options)
+    })
+
+    // with `waitForIndex`, make the save callback wait for the document to be indexed
+    schema.pre('save', function (next, fn) {
+        if (!options || !options.waitForIndex || typeof fn !== 'function') {
+            return next()
+        }
+
+        // listen before saving - the post-save indexing can fail before the save callback runs
+        var indexed = null
+        var onIndexed = null
+
+        var stopWaiting = waitForIndexing(this, function (err) {
+            indexed = { err: err }
+
+            if (onIndexed) {
+                onIndexed()
+            }
+        })
+
+        // replace the save callback
+        next(function (err) {
+            if (err) {
+                stopWaiting()
+                return fn.apply(this, arguments)
+            }
+
+            var args = arguments
+
+            onIndexed = function () {
+                if (indexed.err) {
+                    return fn(indexed.err)
+                }
+
+                return fn.apply(null, args)
+            }
+
+            if (indexed) {
+                onIndexed()
+            }
+        })
+    })
+
     // attach mongoose middleware hooks
     schema.post('save', function () {
+        var self = this
+
         options = helpers.mergeModelOptions(options, this)
-        this.index(options)
+
+        // index the document if it passes the index filter, otherwise make sure it's not in the index
+        helpers.matchesIndexFilter(this, helpers.getIndexFilter(schema, options), function (err, matches) {
+            if (err) {
+                var error = new Error('Elasticsearch index filter error: '+util.inspect(err, true, 10, true))
+                error.details = err
+
+                return errors.report(error, 'index', options, self.constructor, self)
+            }
+
+            writeThrough(self, matches ? 'index' : 'unindex', options)
+        })
     })
     schema.post('remove', function () {
         options = helpers.mergeModelOptions(options, this)
-        this.unindex(options)
+        writeThrough(this, 'unindex', options)
     })
 }
 
+// give `elmongoose` the ability to emit events - `elmongoose.on('error', fn)` listens to indexing errors of every model
+Object.keys(EventEmitter.prototype).forEach(function (method) {
+    if (typeof EventEmitter.prototype[method] !== 'function') {
+        return
+    }
+
+    elmongoose[method] = function () {
+        return errors.emitter[method].apply(errors.emitter, arguments)
+    }
+})
+
+/**
+ * Send the buffered index operations of every model plugged in with `bufferWrites`, eg. before shutting down.
+ *
+ * @param  {Function} cb    Signature: function (err)
+ */
+elmongoose.flush = function (cb) {
+    writeBuffer.flushAll(cb)
+}
+
+/**
+ * List the index operations that failed because Elasticsearch could not be reached, and are waiting to be replayed (see lib/retry.js).
+ *
+ * @param  {Function} cb    Signature: function (err, operations)
+ */
+elmongoose.pendingOperations = function (cb) {
+    retry.pendingOperations(cb)
+}
+
 /**
  * Search across multiple collections. Same usage as model search, but with an extra key on `searchOpts` - `collections`
  * @param  {Object}   searchOpts
- * @param  {Function} cb
+ * @param  {Function} cb            (optional) Signature: function (err, results)
+ * @return {Promise}                resolved with the results, if no `cb` was passed
  */
 elmongoose.search = function (searchOpts, cb) {
     // merge elasticsearch url config options
@@ -78,8 +269,22 @@ elmongoose.search = function (searchOpts, cb) {
                 return elasticUrlOptions.prefix + '-' + collection
             })
         } else {
-            // no collections specified, but prefix specified - use wildcard index with prefix
-            collections = [ elasticUrlOptions.prefix + '*' ]
+            // no collections specified, but prefix specified - search the live index of each collection with the prefix.
+            // A `prefix*` wildcard would also match the versioned indices of syncs in progress, dry runs and failed
+            // verifications, and return their documents twice.
+            return helpers.callbackOrPromise(cb, function (cb) {
+                helpers.getLiveIndexNames(elasticUrlOptions, elasticUrlOptions.prefix + '-', function (err, indexNames) {
+                    if (err) {
+                        return cb(err)
+                    }
+
+                    if (!indexNames.length) {
+                        return cb(null, { total: 0, hits: [] })
+                    }
+
+                    helpers.doSearchAndNormalizeResults(makeSearchUri(indexNames), searchOpts, cb, elasticUrlOptions)
+                })
+            })
         }
     } else {
         // no prefix used
@@ -92,9 +297,13 @@ elmongoose.search = function (searchOpts, cb) {
         }
     }
 
-    var searchUri = helpers.makeDomainUri(elasticUrlOptions) + '/' + collections.join(',') + '/_search?search_type=dfs_query_then_fetch&preference=_primary_first'
+    return helpers.callbackOrPromise(cb, function (cb) {
+        helpers.doSearchAndNormalizeResults(makeSearchUri(collections), searchOpts, cb, elasticUrlOptions)
+    })
 
-    return helpers.doSearchAndNormalizeResults(searchUri, searchOpts, cb)
+    function makeSearchUri (indexNames) {
+        return helpers.makeDomainUri(elasticUrlOptions) + '/' + indexNames.join(',') + '/_search?search_type=dfs_query_then_fetch&preference=_primary_first'
+    }
 }
 
 /**
@@ -116,56 +325,149 @@ elmongoose.search.config = function (options) {
 }
 
 /**
- * Index a document in elasticsearch (create if not existing)
+ * Apply a post-save/post-remove `action` ('index' or 'unindex') to `doc` - through the write buffer if `options.bufferWrites` is set.
  *
- * @param  {Object} options     elasticsearch options object. Keys: host, port, index, type
+ * @param  {Mongoose document}  doc
+ * @param  {String}             action
+ * @param  {Object}             options
  */
-function index (options) {
-    var self = this
-    // strip mongoose-added functions, depopulate any populated fields, and serialize the doc
-    var esearchDoc = helpers.serializeModel(this,options)
+function writeThrough (doc, action, options) {
+    retry.register(doc.constructor, options)
 
-    var indexUri = helpers.makeDocumentUri(options, self)
+    if (options.bufferWrites) {
+        return writeBuffer.add(doc, action, options)
+    }
 
-    var reqOpts = {
-        method: 'PUT',
-        url: indexUri,
-        body: JSON.stringify(esearchDoc)
+    if (action === 'index') {
+        return index.call(doc, options)
     }
 
-    if(options.auth) {
-        reqOpts.auth = {
-            user: options.auth.user,
-            pass: options.auth.password,
-            sendImmediately: false
-        };
+    return unindex.call(doc, options)
+}
+
+/**
+ * Call `cb` once `doc` was indexed or unindexed after a save, or with the error if that failed.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Function}           cb      Signature: function (err)
+ * @return {Function}           stops waiting, without calling `cb`
+ */
+function waitForIndexing (doc, cb) {
+    function onIndexed () {
+        removeListeners()
+        return cb()
     }
 
-    // console.log('index:', indexUri)
+    function onError (err) {
+        removeListeners()
+        return cb(err)
+    }
 
-    helpers.backOffRequest(reqOpts, function (err, res, body) {
+    function removeListeners () {
+        doc.removeListener('elmongoose-indexed', onIndexed)
+        doc.removeListener('elmongoose-unindexed', onIndexed)
+        doc.removeListener('elmongoose-error', onError)
+    }
+
+    doc.once('elmongoose-indexed', onIndexed)
+    doc.once('elmongoose-unindexed', onIndexed)
+    doc.once('elmongoose-error', onError)
+
+    return removeListeners
+}
+
+/**
+ * Index a document in elasticsearch (create if not existing)
+ *
+ * Without `cb`, errors are reported through `lib/errors.js`. Either way, `elmongoose-indexed` is emitted on success.
+ *
+ * @param  {Object}   options   elasticsearch options object. Keys: host, port, index, type
+ * @param  {Function} cb        (optional) Signature: function (err, body) - `body` is the elasticsearch reply
+ */
+function index (options, cb) {
+    var self = this
+
+    // strip mongoose-added functions, depopulate any populated fields, serialize and transform the doc
+    helpers.serializeDocument(this, options, function (err, esearchDoc) {
         if (err) {
-            var error = new Error('Elasticsearch document indexing error: '+util.inspect(err, true, 10, true))
-            error.details = err
+            return fail(err)
+        }
+
+        var version = helpers.getDocumentVersion(self, options)
+
+        // see `helpers.makeIndexCommand()`
+        var indexUri = helpers.makeDocumentUri(options, self) + helpers.makeVersionQuery(self, options)
+
+        var reqOpts = {
+            method: 'PUT',
+            url: indexUri,
+            body: JSON.stringify(esearchDoc)
+        }
 
-            console.log('error', error);
-            //self.emit('error', error)
-            return
+        if(options.auth) {
+            reqOpts.auth = {
+                user: options.auth.user,
+                pass: options.auth.password,
+                sendImmediately: false
+            };
         }
 
-        self.emit('elmongoose-indexed', body)
+        // console.log('index:', indexUri)
+
+        helpers.backOffRequest(reqOpts, function (err, res, body) {
+            if (err) {
+                var error = new Error('Elasticsearch document indexing error: '+util.inspect(err, true, 10, true))
+                error.details = err
+
+                // persist the operation, to replay it once elasticsearch is reachable
+                retry.add(self.constructor, options, [ self._id ], 'index', error)
+
+                return fail(error)
+            }
+
+            // with `externalVersion`, a conflict means a newer version of the document is indexed already
+            if (body.error && !helpers.isIgnoredVersionConflict({ _version: version }, body.status)) {
+                var error = new Error('Elasticsearch rejected document indexing: '+util.inspect(body, true, 10, true))
+                error.elasticsearchReply = body
+
+                // persist the operation if elasticsearch is only overloaded or unavailable
+                if (helpers.isRetryableStatus(body.status || res.statusCode)) {
+                    retry.add(self.constructor, options, [ self._id ], 'index', error)
+                }
+
+                return fail(error)
+            }
+
+            self.emit('elmongoose-indexed', body)
+
+            return cb && cb(null, body)
+        })
     })
+
+    function fail (error) {
+        if (cb) {
+            return cb(error)
+        }
+
+        return errors.report(error, 'index', options, self.constructor, self)
+    }
 }
 
 /**
  * Remove a document from elasticsearch
  *
- * @param  {Object} options     elasticsearch options object. Keys: host, port, index, type
+ * Without `cb`, errors are reported through `lib/errors.js`. Either way, `elmongoose-unindexed` is emitted on success.
+ *
+ * @param  {Object}   options   elasticsearch options object. Keys: host, port, index, type
+ * @param  {Function} cb        (optional) Signature: function (err, body) - `body` is the elasticsearch reply
  */
-function unindex (options) {
+function unindex (options, cb) {
     var self = this
 
-    var unindexUri = helpers.makeDocumentUri(options, self)
+    var version = helpers.getDocumentVersion(self, options)
+
+    // see `helpers.makeDeleteCommand()`
+    var unindexUri = helpers.makeDocumentUri(options, self) + helpers.makeVersionQuery(self, options)
 
     // console.log('unindex:', unindexUri)
 
@@ -187,11 +489,35 @@ function unindex (options) {
             var error = new Error('Elasticsearch document index deletion error: '+util.inspect(err, true, 10, true))
             error.details = err
 
-            console.log('error', error);
-            //self.emit('error', error)
-            return
+            // persist the operation, to replay it once elasticsearch is reachable
+            retry.add(self.constructor, options, [ self._id ], 'unindex', error)
+
+            return fail(error)
+        }
+
+        // with `externalVersion`, a conflict means a newer version of the document is indexed already
+        if (body.error && !helpers.isIgnoredVersionConflict({ _version: version }, body.status)) {
+            var error = new Error('Elasticsearch rejected document index deletion: '+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+
+            // persist the operation if elasticsearch is only overloaded or unavailable
+            if (helpers.isRetryableStatus(body.status || res.statusCode)) {
+                retry.add(self.constructor, options, [ self._id ], 'unindex', error)
+            }
+
+            return fail(error)
         }
 
         self.emit('elmongoose-unindexed', body)
+
+        return cb && cb(null, body)
     })
+
+    function fail (error) {
+        if (cb) {
+            return cb(error)
+        }
+
+        return errors.report(error, 'unindex', options, self.constructor, self)
+    }
 }
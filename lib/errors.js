@@ -0,0 +1,53 @@
+/*
+    Report indexing errors that happen in the background, after a write has returned
+ */
+var EventEmitter = require('events').EventEmitter
+
+// global emitter - `elmongoose.on('error', fn)` listens on it
+var emitter = exports.emitter = new EventEmitter()
+
+/**
+ * Report `err`, which happened while running `op` for `model` (and `doc`, if it was about a single document):
+ *  - `doc` emits `elmongoose-error`, passing (err, op)
+ *  - the `onError` plugin option is called with (err, doc, op)
+ *  - `model` emits `error` if it has listeners
+ *  - `elmongoose` emits `error`, passing (err, doc, op), if it has listeners
+ *
+ * If nothing listens, the error is logged like before. `err.op` is set to `op`.
+ *
+ * @param  {Error}              err
+ * @param  {String}             op          'index', 'unindex' or 'replay'
+ * @param  {Object}             options
+ * @param  {Mongoose model}     model
+ * @param  {Mongoose document}  doc         (optional)
+ */
+exports.report = function (err, op, options, model, doc) {
+    var handled = false
+
+    err.op = op
+    doc = doc || null
+
+    if (doc) {
+        handled = doc.listeners('elmongoose-error').length > 0
+        doc.emit('elmongoose-error', err, op)
+    }
+
+    if (options && typeof options.onError === 'function') {
+        handled = true
+        options.onError(err, doc, op)
+    }
+
+    if (model && model.listeners('error').length) {
+        handled = true
+        model.emit('error', err)
+    }
+
+    if (emitter.listeners('error').length) {
+        handled = true
+        emitter.emit('error', err, doc, op)
+    }
+
+    if (!handled) {
+        console.log('error', err)
+    }
+}
@@ -1,4 +1,5 @@
 var request = require('request'),
+    async = require('async'),
     mongoose = require('mongoose'),
     ObjectId = mongoose.Types.ObjectId,
     util = require('util'),
@@ -88,33 +89,23 @@ exports.serialize = function (thing) {
 }
 
 /**
- * Flattens sub documents in thing
+ * JSON-stringify `thing` with object keys sorted, so that equal objects give equal strings.
  *
  * @param  {Any type} thing
+ * @return {String}
  */
-exports.flatten = function(thing, sufix) {
-    var result = {};
-    function recurse (cur, prop) {
-        //if (Object(cur) !== cur) {
-            prop = prop + sufix;
-            result[prop] = cur;
-        // } else if (Array.isArray(cur)) {
-        //      for(var i=0, l=cur.length; i<l; i++)
-        //          recurse(cur[i], prop + "[" + i + "]");
-        //     if (l == 0)
-        //         result[prop] = [];
-        // } else {
-        //     var isEmpty = true;
-        //     for (var p in cur) {
-        //         isEmpty = false;
-        //         recurse(cur[p], prop ? prop+"."+p : p);
-        //     }
-        //     if (isEmpty && prop)
-        //         result[prop] = {};
-        // }
-    }
-    recurse(thing, "");
-    return result;
+exports.canonicalJSON = function (thing) {
+    if (Array.isArray(thing)) {
+        return '[' + thing.map(exports.canonicalJSON).join(',') + ']'
+    }
+
+    if (thing && typeof thing === 'object') {
+        return '{' + Object.keys(thing).sort().map(function (key) {
+            return JSON.stringify(key) + ':' + exports.canonicalJSON(thing[key])
+        }).join(',') + '}'
+    }
+
+    return JSON.stringify(thing)
 }
 
 /**
@@ -127,12 +118,763 @@ exports.serializeModel = function (model,options) {
     // strip mongoose-added functions, and depopulate any populated model references
     var deflated = model.toObject({ depopulate: true })
     var serialized = exports.serialize(deflated)
-    if(options.flatten && options.grouper){
-        serialized[options.flatten] = exports.flatten(serialized[options.flatten], serialized[options.grouper])
+    removeUnindexedFields(serialized, '', model.schema, options)
+    return serialized
+}
+
+/**
+ * Serialize `doc` with `exports.serializeModel()`, then enrich the result with `exports.enrichSerialized()`.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, serialized)
+ */
+exports.serializeDocument = function (doc, options, cb) {
+    try {
+        var serialized = exports.serializeModel(doc, options)
+    } catch (err) {
+        var error = new Error('Elasticsearch serialization error for document '+doc._id+': '+util.inspect(err, true, 10, true))
+        error.details = err
+
+        return cb(error)
     }
+
+    exports.enrichSerialized(doc, serialized, options, cb)
+}
+
+/**
+ * Check whether serialized documents need to be enriched asynchronously - see `exports.enrichSerialized()`.
+ *
+ * @param  {Object}     options
+ * @return {Boolean}
+ */
+exports.isEnriched = function (options) {
+    return typeof options.transform === 'function' || exports.getPopulatePaths(options).length > 0 || exports.getRewrites(options).length > 0
+}
+
+/**
+ * Enrich `serialized`, the serialized form of `doc`: populate the references listed in the `populate` plugin option,
+ * restructure it with the `rewrite` plugin option, then apply the `transform` plugin option.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             serialized
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, serialized)
+ */
+exports.enrichSerialized = function (doc, serialized, options, cb) {
+    populateSerialized(doc, serialized, options, function (err, populated) {
+        if (err) {
+            return cb(err)
+        }
+
+        exports.applyTransform(doc, exports.rewriteSerialized(populated, options), options, cb)
+    })
+}
+
+/**
+ * Get the rules of the `rewrite` plugin option, which restructure documents (and their mapping) before indexing.
+ * Each rule is one of:
+ *  - { rename: path, to: newPath }             move the field at `path`. `newPath` can contain `{field}` placeholders,
+ *                                              replaced with the value of `field` in the document
+ *  - { flatten: path, separator: '.' }         replace the object at `path` with its leaf fields, named by joining their
+ *                                              path with `separator`, eg. `meta.size.width`
+ *  - { pivot: path, key: 'key', value: 'value' }   turn the array of key/value objects at `path` into an object
+ *
+ * Paths are dotted paths of nested objects, not of arrays. The legacy `flatten`/`grouper` options are the rule
+ * { rename: flatten, to: flatten + '.{' + grouper + '}' }, marked `legacy` so that the mapping of `flatten` is kept as it was.
+ *
+ * @param  {Object} options
+ * @return {Array}
+ */
+exports.getRewrites = function (options) {
+    var rewrites = options && options.rewrite ? [].concat(options.rewrite) : []
+
+    if (options && options.flatten && options.grouper) {
+        rewrites.push({ rename: options.flatten, to: options.flatten + '.{' + options.grouper + '}', legacy: true })
+    }
+
+    return rewrites
+}
+
+/**
+ * Apply the rules of the `rewrite` plugin option to `serialized` (see `exports.getRewrites()`), in order.
+ *
+ * @param  {Object} serialized
+ * @param  {Object} options
+ * @return {Object}
+ */
+exports.rewriteSerialized = function (serialized, options) {
+    exports.getRewrites(options).forEach(function (rule) {
+        if (rule.rename) {
+            var value = getPathValue(serialized, rule.rename)
+            var to = fillPathTemplate(rule.to, serialized)
+
+            if (value === undefined || !to) {
+                return
+            }
+
+            deletePathValue(serialized, rule.rename)
+            setPathValue(serialized, to, value, true)
+        } else if (rule.flatten) {
+            var nested = getPathValue(serialized, rule.flatten)
+
+            if (!isPlainObject(nested)) {
+                return
+            }
+
+            var separator = rule.separator || '.'
+            var pathArray = rule.flatten.split('.')
+            var field = pathArray.pop()
+            var parent = pathArray.length ? getPathValue(serialized, pathArray.join('.')) : serialized
+
+            delete parent[field]
+
+            flattenObject(nested, field, separator, parent)
+        } else if (rule.pivot) {
+            var entries = getPathValue(serialized, rule.pivot)
+
+            if (!Array.isArray(entries)) {
+                return
+            }
+
+            var pivoted = {}
+            var keyField = rule.key || 'key'
+            var valueField = rule.value || 'value'
+
+            entries.forEach(function (entry) {
+                if (entry && entry[keyField] !== undefined && entry[keyField] !== null) {
+                    pivoted[entry[keyField]] = entry[valueField]
+                }
+            })
+
+            setPathValue(serialized, rule.pivot, pivoted)
+        }
+    })
+
     return serialized
 }
 
+/**
+ * Copy the leaf fields of `obj` to `target`, named by joining their path (starting with `prefix`) with `separator`.
+ *
+ * @param  {Object} obj
+ * @param  {String} prefix
+ * @param  {String} separator
+ * @param  {Object} target
+ * @api private
+ */
+function flattenObject (obj, prefix, separator, target) {
+    Object.keys(obj).forEach(function (key) {
+        var name = prefix + separator + key
+
+        if (isPlainObject(obj[key])) {
+            return flattenObject(obj[key], name, separator, target)
+        }
+
+        target[name] = obj[key]
+    })
+}
+
+/**
+ * Replace the `{field}` placeholders in `template` with the values of `field` in `obj`, and split it into path entries.
+ * Values are kept whole, so a value containing '.' makes one field rather than nested objects.
+ *
+ * @param  {String} template
+ * @param  {Object} obj
+ * @return {Array}              null if a placeholder has no value
+ * @api private
+ */
+function fillPathTemplate (template, obj) {
+    var missing = false
+
+    var pathArray = template.split(/\.(?![^{]*\})/).map(function (pathEntry) {
+        return pathEntry.replace(/\{([^}]+)\}/g, function (match, field) {
+            var value = getPathValue(obj, field)
+
+            if (value === undefined || value === null) {
+                missing = true
+                return ''
+            }
+
+            return String(value)
+        })
+    })
+
+    return missing ? null : pathArray
+}
+
+/**
+ * @param  {Any type} thing
+ * @return {Boolean}    whether `thing` is an object, but not an array
+ * @api private
+ */
+function isPlainObject (thing) {
+    return !!thing && typeof thing === 'object' && !Array.isArray(thing)
+}
+
+/**
+ * Normalize the `populate` plugin option to an array of objects with keys: path, select (optional), nested (optional).
+ *
+ * @param  {Object} options
+ * @return {Array}
+ */
+exports.getPopulatePaths = function (options) {
+    if (!options || !options.populate) {
+        return []
+    }
+
+    return [].concat(options.populate).map(function (populateOpts) {
+        return typeof populateOpts === 'string' ? { path: populateOpts } : populateOpts
+    })
+}
+
+/**
+ * Get the name of the model that `path` of `schema` references, eg. 'Person' for `owner: { type: ObjectId, ref: 'Person' }`.
+ * Works for arrays of references too.
+ *
+ * @param  {Mongoose schema}    schema
+ * @param  {String}             path
+ * @return {String}             undefined if `path` is not a reference
+ */
+exports.getRefModelName = function (schema, path) {
+    var schemaPath = schema.path(path)
+
+    if (!schemaPath) {
+        return
+    }
+
+    return (schemaPath.options && schemaPath.options.ref) ||
+        (schemaPath.caster && schemaPath.caster.options && schemaPath.caster.options.ref)
+}
+
+/**
+ * Replace the `_id`s at the `populate` paths of `serialized`, the serialized form of `doc`, with the serialized documents
+ * they reference. References to documents that don't exist are dropped. The referenced documents are read without
+ * their fields that have `es_indexed: false`. Paths that are not indexed (see `exports.isPathIndexed()`) are skipped.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             serialized
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, serialized)
+ * @api private
+ */
+function populateSerialized (doc, serialized, options, cb) {
+    async.eachSeries(exports.getPopulatePaths(options), function (populateOpts, next) {
+        // its value was left out of `serialized`
+        if (!exports.isPathIndexed(doc.schema, populateOpts.path, options)) {
+            return next()
+        }
+
+        var refModelName = exports.getRefModelName(doc.schema, populateOpts.path)
+
+        if (!refModelName) {
+            return next(new Error('`populate` path `'+populateOpts.path+'` does not reference a model'))
+        }
+
+        var value = getPathValue(serialized, populateOpts.path)
+
+        if (value === undefined || value === null) {
+            return next()
+        }
+
+        var ids = Array.isArray(value) ? value : [ value ]
+        var refModel = doc.constructor.db.model(refModelName)
+
+        var query = refModel.find({ _id: { $in: ids } }).lean()
+
+        if (populateOpts.select) {
+            query.select(populateOpts.select)
+        }
+
+        query.exec(function (err, refDocs) {
+            if (err) {
+                return next(err)
+            }
+
+            var refDocsById = {}
+
+            refDocs.forEach(function (refDoc) {
+                refDoc = exports.serialize(refDoc)
+                removeUnindexedFields(refDoc, '', refModel.schema, null)
+                refDocsById[refDoc._id] = refDoc
+            })
+
+            if (Array.isArray(value)) {
+                setPathValue(serialized, populateOpts.path, ids.filter(function (id) {
+                    return refDocsById[id]
+                }).map(function (id) {
+                    return refDocsById[id]
+                }))
+            } else {
+                setPathValue(serialized, populateOpts.path, refDocsById[value] || null)
+            }
+
+            return next()
+        })
+    }, function (err) {
+        if (err) {
+            var error = new Error('Elasticsearch populate error for document '+doc.id+': '+util.inspect(err, true, 10, true))
+            error.details = err
+            return cb(error)
+        }
+
+        return cb(null, serialized)
+    })
+}
+
+/**
+ * Get the value at the dotted `path` of `obj`.
+ *
+ * @param  {Object} obj
+ * @param  {String} path
+ * @return {Any type}
+ * @api private
+ */
+function getPathValue (obj, path) {
+    return path.split('.').reduce(function (value, key) {
+        return value === undefined || value === null ? undefined : value[key]
+    }, obj)
+}
+
+/**
+ * Set the value at the dotted `path` of `obj`, if the object it's nested in exists - or creating it, with `create`.
+ *
+ * @param  {Object}     obj
+ * @param  {String}     path        or an array of path entries
+ * @param  {Any type}   value
+ * @param  {Boolean}    create
+ * @api private
+ */
+function setPathValue (obj, path, value, create) {
+    var pathArray = Array.isArray(path) ? path.slice() : path.split('.')
+    var key = pathArray.pop()
+    var parent = obj
+
+    pathArray.forEach(function (pathEntry) {
+        if (parent && create && !isPlainObject(parent[pathEntry])) {
+            parent[pathEntry] = {}
+        }
+
+        parent = parent ? parent[pathEntry] : undefined
+    })
+
+    if (parent) {
+        parent[key] = value
+    }
+}
+
+/**
+ * Delete the field at the dotted `path` of `obj`.
+ *
+ * @param  {Object}     obj
+ * @param  {String}     path
+ * @api private
+ */
+function deletePathValue (obj, path) {
+    var pathArray = path.split('.')
+    var key = pathArray.pop()
+    var parent = pathArray.length ? getPathValue(obj, pathArray.join('.')) : obj
+
+    if (parent) {
+        delete parent[key]
+    }
+}
+
+/**
+ * Apply the `transform` plugin option to `serialized`, the serialized form of `doc`. `transform(doc, serialized)` can
+ * modify `serialized` or return the object to index instead - directly, through a Promise, or through a callback passed
+ * as its third argument.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             serialized
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, serialized)
+ */
+exports.applyTransform = function (doc, serialized, options, cb) {
+    if (typeof options.transform !== 'function') {
+        return cb(null, serialized)
+    }
+
+    function done (err, transformed) {
+        if (err) {
+            var error = new Error('Elasticsearch transform error for document '+doc.id+': '+util.inspect(err, true, 10, true))
+            error.details = err
+            return cb(error)
+        }
+
+        return cb(null, transformed || serialized)
+    }
+
+    if (options.transform.length >= 3) {
+        return options.transform(doc, serialized, done)
+    }
+
+    try {
+        var transformed = options.transform(doc, serialized)
+    } catch (err) {
+        return done(err)
+    }
+
+    if (transformed && typeof transformed.then === 'function') {
+        // call back outside of the promise chain, so errors thrown by `cb` aren't swallowed
+        return transformed.then(function (result) {
+            setImmediate(function () { done(null, result) })
+        }, function (err) {
+            setImmediate(function () { done(err || new Error('transform rejected')) })
+        })
+    }
+
+    return done(null, transformed)
+}
+
+/**
+ * Delete the fields of `obj` (found at `prefix` in documents of `schema`) that are not indexed - see `exports.isPathIndexed()`.
+ *
+ * @param  {Object}             obj
+ * @param  {String}             prefix
+ * @param  {Mongoose schema}    schema
+ * @param  {Object}             options
+ * @api private
+ */
+function removeUnindexedFields (obj, prefix, schema, options) {
+    Object.keys(obj).forEach(function (key) {
+        var path = prefix + key
+        var value = obj[key]
+
+        // fields nested in an indexed object can still be excluded, and an object that isn't included can contain included fields
+        var recurse = exports.isPathIndexed(schema, path, options) || exports.isAncestorOfIncludedPath(schema, path, options)
+
+        if (!recurse) {
+            delete obj[key]
+            return
+        }
+
+        ;(Array.isArray(value) ? value : [ value ]).forEach(function (nested) {
+            if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+                removeUnindexedFields(nested, path + '.', schema, options)
+            }
+        })
+    })
+}
+
+/**
+ * Check whether the document field at `path` (eg. 'owner.name') is indexed. A field is left out of the index if:
+ *  - it, or an object it's nested in, has the `es_indexed: false` schema option
+ *  - it, or an object it's nested in, is listed in the `exclude` plugin option
+ *  - the `include` plugin option is set, and neither it nor an object it's nested in is listed
+ *
+ * `_id` is always indexed.
+ *
+ * @param  {Mongoose schema}    schema
+ * @param  {String}             path
+ * @param  {Object}             options
+ * @return {Boolean}
+ */
+exports.isPathIndexed = function (schema, path, options) {
+    if (path === '_id') {
+        return true
+    }
+
+    var pathArray = path.split('.')
+
+    for (var i = 1; i <= pathArray.length; i++) {
+        var schemaPath = getSchemaPath(schema, pathArray.slice(0, i).join('.'))
+
+        if (schemaPath && isNotIndexedOption(schemaPath)) {
+            return false
+        }
+    }
+
+    if (options && options.exclude && matchesPath(path, options.exclude)) {
+        return false
+    }
+
+    if (options && options.include && !matchesPath(path, options.include)) {
+        return false
+    }
+
+    return true
+}
+
+/**
+ * Check whether an object at `path` contains fields listed in the `include` plugin option.
+ *
+ * @param  {Mongoose schema}    schema
+ * @param  {String}             path
+ * @param  {Object}             options
+ * @return {Boolean}
+ */
+exports.isAncestorOfIncludedPath = function (schema, path, options) {
+    if (!options || !options.include) {
+        return false
+    }
+
+    // excluded objects stay excluded
+    if (!exports.isPathIndexed(schema, path, { exclude: options.exclude })) {
+        return false
+    }
+
+    return [].concat(options.include).some(function (includedPath) {
+        return includedPath.indexOf(path + '.') === 0
+    })
+}
+
+/**
+ * Check whether `path` is one of `paths`, or nested under one of them.
+ *
+ * @param  {String} path
+ * @param  {Array}  paths   a single path can be passed as a string
+ * @return {Boolean}
+ * @api private
+ */
+function matchesPath (path, paths) {
+    return [].concat(paths).some(function (listedPath) {
+        return path === listedPath || path.indexOf(listedPath + '.') === 0
+    })
+}
+
+/**
+ * Get the schema type at `path`, looking into the schemas of document arrays (eg. 'comments.author').
+ *
+ * @param  {Mongoose schema}    schema
+ * @param  {String}             path
+ * @return {SchemaType}         undefined if `path` is not in `schema`
+ * @api private
+ */
+function getSchemaPath (schema, path) {
+    var schemaPath = schema.path(path)
+
+    if (schemaPath) {
+        return schemaPath
+    }
+
+    var pathArray = path.split('.')
+
+    for (var i = 1; i < pathArray.length; i++) {
+        var arrayPath = schema.path(pathArray.slice(0, i).join('.'))
+
+        if (arrayPath && arrayPath.schema) {
+            return getSchemaPath(arrayPath.schema, pathArray.slice(i).join('.'))
+        }
+    }
+}
+
+/**
+ * Check for the `es_indexed: false` option on a schema type, or on the type of its array entries.
+ *
+ * @param  {SchemaType} schemaPath
+ * @return {Boolean}
+ * @api private
+ */
+function isNotIndexedOption (schemaPath) {
+    return (schemaPath.options && schemaPath.options.es_indexed === false) ||
+        (schemaPath.caster && schemaPath.caster.options && schemaPath.caster.options.es_indexed === false)
+}
+
+/**
+ * Check the `externalVersion` plugin option: it must name a number or date field of `schema` that increases with every
+ * write. The mongoose version key isn't accepted implicitly, since mongoose only increments it when arrays are modified.
+ *
+ * @param  {Object} schema      mongoose schema
+ * @param  {Object} options     plugin options
+ */
+exports.checkExternalVersion = function (schema, options) {
+    if (!options || !options.externalVersion) {
+        return
+    }
+
+    var field = options.externalVersion
+
+    if (typeof field !== 'string') {
+        throw new Error('elmongoose `externalVersion` must be the name of a number or date field that increases with every write. Got:'+util.inspect(field, true, 10, true))
+    }
+
+    var schemaPath = schema.path(field)
+
+    if (!(schemaPath instanceof mongoose.Schema.Types.Number) && !(schemaPath instanceof mongoose.Schema.Types.Date)) {
+        throw new Error('elmongoose `externalVersion` field `'+field+'` must be a number or date path of the schema.')
+    }
+}
+
+/**
+ * Get the external version to index or delete `doc` with, from the field named by `options.externalVersion`.
+ * Dates are converted to milliseconds.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @return {Number}             undefined if `externalVersion` is off, or `doc` has no version
+ */
+exports.getDocumentVersion = function (doc, options) {
+    if (!options.externalVersion) {
+        return
+    }
+
+    var version = doc.get(options.externalVersion)
+
+    if (version instanceof Date) {
+        version = version.getTime()
+    }
+
+    return typeof version === 'number' ? version : undefined
+}
+
+/**
+ * Make the bulk command that indexes `doc` into `indexName`, with its external version if `options.externalVersion` is set.
+ *
+ * `external_gte` is used so that indexing the same version twice (eg. a sync, or saves that don't bump the version) succeeds,
+ * while an older version is rejected with a conflict.
+ *
+ * @param  {String}             indexName
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @return {Object}
+ */
+exports.makeIndexCommand = function (indexName, doc, options) {
+    return makeVersionedCommand('index', indexName, doc, options)
+}
+
+/**
+ * Make the bulk command that deletes `doc` from `indexName`, with its external version if `options.externalVersion` is set,
+ * so that a delete that reaches Elasticsearch late doesn't remove a newer version of the document.
+ *
+ * @param  {String}             indexName
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @return {Object}
+ */
+exports.makeDeleteCommand = function (indexName, doc, options) {
+    return makeVersionedCommand('delete', indexName, doc, options)
+}
+
+/**
+ * Make the query string that sends `doc`'s external version with a single document request, eg. `?version=3&version_type=external_gte`.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @return {String}             empty if `doc` has no version
+ */
+exports.makeVersionQuery = function (doc, options) {
+    var version = exports.getDocumentVersion(doc, options)
+
+    if (version === undefined) {
+        return ''
+    }
+
+    return '?version=' + version + '&version_type=external_gte'
+}
+
+/**
+ * Tell whether Elasticsearch replied to a versioned operation that it has a newer version of the document already.
+ * Conflicts of operations sent without a version are real errors.
+ *
+ * @param  {Object}  command   the bulk command line, or { _version } for single document requests
+ * @param  {Number}  status
+ * @return {Boolean}
+ */
+exports.isIgnoredVersionConflict = function (command, status) {
+    return status === 409 && command._version !== undefined
+}
+
+/**
+ * Make the bulk command line of `action` for `doc`.
+ *
+ * @param  {String}             action      'index' or 'delete'
+ * @param  {String}             indexName
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             options
+ * @return {Object}
+ * @api private
+ */
+function makeVersionedCommand (action, indexName, doc, options) {
+    var command = {}
+
+    command[action] = {
+        _index: indexName,
+        _type: options.type,
+        _id: String(doc._id)
+    }
+
+    var version = exports.getDocumentVersion(doc, options)
+
+    if (version !== undefined) {
+        command[action]._version = version
+        command[action]._version_type = 'external_gte'
+    }
+
+    return command
+}
+
+/**
+ * Get the filter that decides which documents of `schema` get indexed: the plugin's `options.indexFilter`,
+ * or the schema's `es_indexFilter` option. Keys (both optional):
+ *  - query: mongo query that documents must match to be indexed
+ *  - test: function (doc) that must return true for `doc` to be indexed
+ *
+ * @param  {Object} schema      mongoose schema
+ * @param  {Object} options
+ * @return {Object}             null if no filter is defined
+ */
+exports.getIndexFilter = function (schema, options) {
+    var indexFilter = (options && options.indexFilter) || (schema && schema.options && schema.options.es_indexFilter)
+
+    if (!indexFilter || (!indexFilter.query && !indexFilter.test)) {
+        return null
+    }
+
+    return indexFilter
+}
+
+/**
+ * Restrict the mongo `query` to documents matching `indexFilter.query`
+ *
+ * @param  {Object} query
+ * @param  {Object} indexFilter     see `exports.getIndexFilter()`
+ * @return {Object}
+ */
+exports.applyIndexFilterQuery = function (query, indexFilter) {
+    if (!indexFilter || !indexFilter.query || !Object.keys(indexFilter.query).length) {
+        return query
+    }
+
+    if (!Object.keys(query).length) {
+        return indexFilter.query
+    }
+
+    return { $and: [ query, indexFilter.query ] }
+}
+
+/**
+ * Check whether the mongoose document `doc` passes `indexFilter`, call `cb` with the result.
+ * Matching `indexFilter.query` requires a query to mongodb.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {Object}             indexFilter     see `exports.getIndexFilter()`
+ * @param  {Function}           cb              Signature: function (err, matches)
+ */
+exports.matchesIndexFilter = function (doc, indexFilter, cb) {
+    if (!indexFilter) {
+        return cb(null, true)
+    }
+
+    if (indexFilter.test && !indexFilter.test(doc)) {
+        return cb(null, false)
+    }
+
+    if (!indexFilter.query) {
+        return cb(null, true)
+    }
+
+    var query = exports.applyIndexFilterQuery({ _id: doc._id }, indexFilter)
+
+    doc.constructor.count(query, function (err, count) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, count > 0)
+    })
+}
+
 /**
  * Merge user-supplied `options` object with defaults (to configure Elasticsearch url)
  * @param  {Object} options
@@ -208,6 +950,29 @@ exports.mergeOptions = function (options) {
     mergedOptions.grouper = options.grouper;
     mergedOptions.flatten = options.flatten;
     mergedOptions.auth = options.auth;
+    mergedOptions.keepVersions = options.keepVersions;
+    mergedOptions.checkpointCollection = options.checkpointCollection;
+    mergedOptions.settings = options.settings;
+    mergedOptions.waitForStatus = options.waitForStatus;
+    mergedOptions.batchSize = options.batchSize;
+    mergedOptions.maxBatchBytes = options.maxBatchBytes;
+    mergedOptions.concurrency = options.concurrency;
+    mergedOptions.indexFilter = options.indexFilter;
+    mergedOptions.lockCollection = options.lockCollection;
+    mergedOptions.lockTtl = options.lockTtl;
+    mergedOptions.bufferWrites = options.bufferWrites;
+    mergedOptions.retryStore = options.retryStore;
+    mergedOptions.retryCollection = options.retryCollection;
+    mergedOptions.retryInterval = options.retryInterval;
+    mergedOptions.onError = options.onError;
+    mergedOptions.waitForIndex = options.waitForIndex;
+    mergedOptions.externalVersion = options.externalVersion;
+    mergedOptions.include = options.include;
+    mergedOptions.exclude = options.exclude;
+    mergedOptions.transform = options.transform;
+    mergedOptions.transformMapping = options.transformMapping;
+    mergedOptions.populate = options.populate;
+    mergedOptions.rewrite = options.rewrite;
 
     return mergedOptions
 }
@@ -873,6 +1638,103 @@ exports.makeIndexName = function (options) {
     return options.prefix ? (options.prefix + '-' + options.type) : options.type
 }
 
+/**
+ * Make a timestamp-versioned index name from `options`, eg. `prefix-cats-1380000000000`.
+ * `Model.sync()` populates a versioned index, then points the un-versioned index name (the alias) at it.
+ *
+ * @param  {Object} options
+ * @return {String}
+ */
+exports.makeVersionedIndexName = function (options) {
+    return (exports.makeIndexName(options) + '-' + Date.now()).toLowerCase()
+}
+
+/**
+ * Check whether `indexName` is a timestamp-versioned index created by `Model.sync()` for `options`
+ *
+ * @param  {String} indexName
+ * @param  {Object} options
+ * @return {Boolean}
+ */
+exports.isVersionedIndexName = function (indexName, options) {
+    var aliasName = exports.makeIndexName(options).toLowerCase()
+
+    if (indexName.indexOf(aliasName + '-') !== 0) {
+        return false
+    }
+
+    return /^[0-9]+$/.test(indexName.slice(aliasName.length + 1))
+}
+
+/**
+ * Get the names of the indices to search for the collections whose index name starts with `prefix`: the aliases that
+ * `Model.sync()` points at live indices, and the concrete indices of collections that were never synced. The versioned
+ * indices themselves are left out, so that no document is found twice.
+ *
+ * @param  {Object}     options
+ * @param  {String}     prefix
+ * @param  {Function}   cb          Signature: function (err, indexNames)
+ */
+exports.getLiveIndexNames = function (options, prefix, cb) {
+    var reqOpts = {
+        method: 'GET',
+        url: exports.makeAliasUri(options)
+    }
+
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    exports.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            var error = new Error('Elasticsearch alias listing error:'+util.inspect(err, true, 10, true))
+            error.details = err
+
+            return cb(error)
+        }
+
+        if (!body || typeof body !== 'object' || body.error) {
+            var error = new Error('Unexpected alias listing reply. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+
+            return cb(error)
+        }
+
+        var indexNames = []
+
+        Object.keys(body).forEach(function (indexName) {
+            var aliasNames = Object.keys((body[indexName] && body[indexName].aliases) || {})
+
+            // a concrete index that was never synced (eg. auto-created by a save) - versioned indices are reached through their alias
+            if (!aliasNames.length && !/-[0-9]+$/.test(indexName)) {
+                aliasNames = [ indexName ]
+            }
+
+            aliasNames.forEach(function (name) {
+                if (name.indexOf(prefix) === 0 && indexNames.indexOf(name) === -1) {
+                    indexNames.push(name)
+                }
+            })
+        })
+
+        return cb(null, indexNames)
+    })
+}
+
+/**
+ * Get the version timestamp of an index named by `exports.makeVersionedIndexName()`
+ *
+ * @param  {String} indexName
+ * @return {Number}
+ */
+exports.getIndexVersion = function (indexName) {
+    return Number(indexName.slice(indexName.lastIndexOf('-') + 1))
+}
+
 /**
  * Form the elasticsearch URI for indexing/deleting a document
  *
@@ -952,6 +1814,41 @@ exports.makeBulkIndexUri = function (indexName, options) {
 
 // Checks that a response body from elasticsearch reported success
 exports.elasticsearchBodyOk = function (elasticsearchBody) {
-    // `ok` for elasticsearch version < 1, `acknowledged` for v1
-    return elasticsearchBody && (elasticsearchBody.ok || elasticsearchBody.acknowledged || elasticsearchBody.total == elasticsearchBody.successful)
+    // `ok` for elasticsearch version < 1, `acknowledged` for v1. Error replies have neither `total` nor `successful`.
+    return elasticsearchBody && !elasticsearchBody.error && (elasticsearchBody.ok || elasticsearchBody.acknowledged || elasticsearchBody.total == elasticsearchBody.successful)
+}
+
+/**
+ * Check whether an elasticsearch error reply with HTTP `status` is worth retrying later (overloaded or unavailable cluster),
+ * as opposed to a rejection of the request itself (eg. a mapping error).
+ *
+ * @param  {Number}  status
+ * @return {Boolean}
+ */
+exports.isRetryableStatus = function (status) {
+    return status === 429 || status === 500 || status === 502 || status === 503 || status === 504
+}
+
+/**
+ * Call `fn` with `cb` if it's a function. Otherwise, return a Promise that is settled by the callback `fn` is called with:
+ * rejected with the error, or resolved with the first result.
+ *
+ * @param  {Function} cb    callback passed by the caller (optional)
+ * @param  {Function} fn    Signature: function (cb)
+ * @return {Promise}        if no `cb` was passed
+ */
+exports.callbackOrPromise = function (cb, fn) {
+    if (typeof cb === 'function') {
+        return fn(cb)
+    }
+
+    return new Promise(function (resolve, reject) {
+        fn(function (err, result) {
+            if (err) {
+                return reject(err)
+            }
+
+            return resolve(result)
+        })
+    })
 }
@@ -0,0 +1,122 @@
+/*
+    Distributed lock in MongoDB, so that only one `Model.sync()` at a time can swap a collection's alias
+ */
+var os = require('os'),
+    crypto = require('crypto')
+
+// name of the collection holding one lock document per elasticsearch alias
+var DEFAULT_COLLECTION = 'elmongoose_locks'
+
+// how long a lock is held without being renewed, in ms. Locks are renewed every third of that while held.
+var DEFAULT_TTL = 60*1000
+
+// how often to retry acquiring a held lock when waiting for it, in ms
+var RETRY_INTERVAL = 1000
+
+/**
+ * Acquire the lock named `name`. If another process holds it, `lockOpts.onLocked` decides what happens:
+ *  - `fail` (default): callback with an error having `code` 'ELOCKED'
+ *  - `skip`: callback with a null lock
+ *  - `wait`: retry until the lock is released or expires, for up to `lockOpts.waitTimeout` ms (unlimited by default)
+ *
+ * The returned lock is renewed in the background until released. If renewal finds the lock was taken over
+ * (eg. this process stalled for longer than the ttl), `lock.lost` is set.
+ *
+ * @param  {Mongoose model} model
+ * @param  {String}         name
+ * @param  {Object}         lockOpts    Keys: collection, ttl, onLocked, waitTimeout
+ * @param  {Function}       cb          Signature: function (err, lock). `lock` has keys: name, owner, lost, release(cb)
+ */
+exports.acquire = function (model, name, lockOpts, cb) {
+    var collection = model.db.collection(lockOpts.collection || DEFAULT_COLLECTION)
+    var ttl = lockOpts.ttl || DEFAULT_TTL
+    var onLocked = lockOpts.onLocked || 'fail'
+    var owner = os.hostname() + ':' + process.pid + ':' + crypto.randomBytes(8).toString('hex')
+    var startedAt = Date.now()
+
+    if ([ 'fail', 'skip', 'wait' ].indexOf(onLocked) === -1) {
+        return cb(new Error('`onLocked` must be one of `fail`, `skip` or `wait`. Got: '+onLocked))
+    }
+
+    function attempt () {
+        var now = new Date()
+
+        // take the lock if it's free or expired. If another process holds it, the upsert fails with a duplicate key error.
+        var query = { _id: name, expiresAt: { $lt: now } }
+        var update = { $set: { owner: owner, acquiredAt: now, expiresAt: new Date(now.getTime() + ttl) } }
+
+        collection.update(query, update, { upsert: true, w: 1 }, function (err) {
+            if (!err) {
+                return cb(null, createLock(collection, name, owner, ttl))
+            }
+
+            if (err.code !== 11000 && err.code !== 11001) {
+                return cb(err)
+            }
+
+            if (onLocked === 'skip') {
+                return cb(null, null)
+            }
+
+            if (onLocked === 'wait' && (!lockOpts.waitTimeout || Date.now() - startedAt < lockOpts.waitTimeout)) {
+                return setTimeout(attempt, RETRY_INTERVAL)
+            }
+
+            var error = new Error('Lock `'+name+'` is held by another process.')
+            error.code = 'ELOCKED'
+            return cb(error)
+        })
+    }
+
+    attempt()
+}
+
+/**
+ * Create the handle for a lock held by `owner`, and start renewing it.
+ *
+ * @param  {Object}     collection
+ * @param  {String}     name
+ * @param  {String}     owner
+ * @param  {Number}     ttl
+ * @return {Object}
+ * @api private
+ */
+function createLock (collection, name, owner, ttl) {
+    var lock = {
+        name: name,
+        owner: owner,
+        lost: false
+    }
+
+    var renewTimer = setInterval(function () {
+        var update = { $set: { expiresAt: new Date(Date.now() + ttl) } }
+
+        collection.update({ _id: name, owner: owner }, update, { w: 1 }, function (err, numUpdated) {
+            // transient errors are retried on the next renewal
+            if (!err && !numUpdated) {
+                lock.lost = true
+                clearInterval(renewTimer)
+            }
+        })
+    }, Math.floor(ttl / 3))
+
+    // don't keep the process alive just to renew the lock
+    if (renewTimer.unref) {
+        renewTimer.unref()
+    }
+
+    /**
+     * Stop renewing the lock and release it (unless it was taken over by another process).
+     *
+     * @param  {Function} cb    Signature: function (err)
+     */
+    lock.release = function (cb) {
+        clearInterval(renewTimer)
+
+        collection.remove({ _id: name, owner: owner }, { w: 1 }, function (err) {
+            return cb(err)
+        })
+    }
+
+    return lock
+}
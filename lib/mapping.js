@@ -1,14 +1,18 @@
 var util = require('util'),
 	mongoose = require('mongoose'),
 	Schema = mongoose.Schema,
-	ObjectId = require('mongodb').ObjectID
+	ObjectId = require('mongodb').ObjectID,
+	helpers = require('./helpers')
 
 /**
- * Deep-traverse a Mongoose schema and generate an elasticsearch mapping object
+ * Deep-traverse a Mongoose schema and generate an elasticsearch mapping object. Paths that are not indexed
+ * (see `helpers.isPathIndexed()`) are left out, populated paths (`options.populate`) are mapped as the documents
+ * they reference, `options.rewrite` rules are applied, and `options.transformMapping` is added for derived fields.
  * @param  {Object} schema - mongoose schema
+ * @param  {Object} options - plugin options (optional)
  * @return {Object}
  */
-exports.generateMapping = function (schema) {
+exports.generateMapping = function (schema, options) {
 	// console.log('generateMapping schema.tree', schema.tree)
 	// console.log('generateMapping schema.paths', util.inspect(schema.paths, true, 3, true))
 
@@ -18,15 +22,75 @@ exports.generateMapping = function (schema) {
 		}
 	}
 
+	mapSchemaPaths(mapping.properties, schema, schema, '', options)
+
+	// populated references are indexed as the documents they reference
+	helpers.getPopulatePaths(options).forEach(function (populateOpts) {
+		var refSchema = mongoose.modelSchemas[helpers.getRefModelName(schema, populateOpts.path)]
+
+		// a path that isn't indexed isn't populated either
+		if (!refSchema || !helpers.isPathIndexed(schema, populateOpts.path, options)) {
+			return
+		}
+
+		var pathArray = populateOpts.path.split('.')
+		var field = pathArray.pop()
+		var currentLocation = getMappingProperties(mapping, pathArray, true)
+
+		currentLocation[field] = {
+			type: populateOpts.nested ? 'nested' : 'object',
+			properties: exports.generateMapping(refSchema, selectToOptions(populateOpts.select)).properties
+		}
+	})
+
+	// restructure the mapping like the documents
+	rewriteMapping(mapping, options)
+
+	// add the mapping of fields derived by the `transform` plugin option
+	if (options && options.transformMapping) {
+		Object
+		.keys(options.transformMapping)
+		.forEach(function (field) {
+			mapping.properties[field] = options.transformMapping[field]
+		})
+	}
+
+	// console.log('\ngenerateMapping - mapping:', util.inspect(mapping, true,10, true))
+
+	return mapping
+}
+
+/**
+ * Add the mapping of the indexed paths of `schema` to `properties`. `schema` is the schema of a document array of
+ * `rootSchema` when `prefix` is set (eg. 'comments.'), and its paths are checked against `rootSchema` by their full path.
+ * @param  {Object} properties - mapping properties to add to
+ * @param  {Object} rootSchema - mongoose schema of the model
+ * @param  {Object} schema - mongoose schema to map the paths of
+ * @param  {String} prefix - path of `schema` in `rootSchema`, with a trailing '.' (empty for `rootSchema`)
+ * @param  {Object} options - plugin options (optional)
+ */
+function mapSchemaPaths (properties, rootSchema, schema, prefix, options) {
 	Object
 	.keys(schema.paths)
+	.filter(function (path) {
+		var fullPath = prefix + path
+
+		// document arrays are kept if some of their fields are included
+		if (schema.paths[path].schema && helpers.isAncestorOfIncludedPath(rootSchema, fullPath, options)) {
+			return true
+		}
+
+		return helpers.isPathIndexed(rootSchema, fullPath, options)
+	})
 	.forEach(function (path) {
 		// the mongoose information associated to the path
 		var pathInfo = schema.paths[path];
 
+		var fullPath = prefix + path
+
 		var pathArray = path.split('.')
 
-		var currentLocation = mapping.properties
+		var currentLocation = properties
 
 		// build out the mapping object by traversing the path defined by `pathArray` and building it in `mapping`
 		pathArray.forEach(function (pathEntry, i) {
@@ -37,7 +101,13 @@ exports.generateMapping = function (schema) {
 				// we're at the lowest level of the mapping object for this `path`. Set the elasticsearch mapping info for it.
 
 				// determine the type to set on the field in `mapping`
-				if (pathInfo.instance) {
+				if (pathInfo.schema) {
+					// document arrays are mapped like the subdocuments they hold, without their fields that aren't indexed
+					currentLocation[pathEntry].type = 'object'
+					currentLocation[pathEntry].properties = {}
+
+					mapSchemaPaths(currentLocation[pathEntry].properties, rootSchema, pathInfo.schema, fullPath + '.', options)
+				} else if (pathInfo.instance) {
 					var instanceName = pathInfo.instance.toLowerCase()
 
 				 	if (instanceName === 'objectid') {
@@ -91,6 +161,10 @@ exports.generateMapping = function (schema) {
 					currentLocation[pathEntry].index_analyzer = 'autocomplete_index'
 					currentLocation[pathEntry].search_analyzer ='autocomplete_search'
 				}
+
+				// mapping parameters set in the schema, eg. `{ type: String, es_index: 'not_analyzed' }`, override the derived ones
+				addMappingOverrides(currentLocation[pathEntry], pathInfo.caster && pathInfo.caster.options)
+				addMappingOverrides(currentLocation[pathEntry], pathInfo.options)
 			} else {
 				// mark this location in the mapping as an object (only set if it hasn't been set by a previous path already)
 				if (!currentLocation[pathEntry].properties) {
@@ -102,10 +176,153 @@ exports.generateMapping = function (schema) {
 			}
 		})
 	})
+}
 
-	// console.log('\ngenerateMapping - mapping:', util.inspect(mapping, true,10, true))
+// schema path options carried into the mapping of the path, and the mapping parameters they set
+var mappingOverrides = {
+	es_type: 'type',
+	es_analyzer: 'analyzer',
+	es_index_analyzer: 'index_analyzer',
+	es_search_analyzer: 'search_analyzer',
+	es_index: 'index',
+	es_boost: 'boost',
+	es_format: 'format',
+	es_null_value: 'null_value'
+}
 
-	return mapping
+/**
+ * Copy the mapping parameters set in the schema path options `pathOptions` (eg. `es_analyzer`) to `fieldMapping`.
+ * @param  {Object} fieldMapping
+ * @param  {Object} pathOptions - (optional)
+ */
+function addMappingOverrides (fieldMapping, pathOptions) {
+	if (!pathOptions) {
+		return
+	}
+
+	// an analyzer replaces the derived (autocomplete) analyzers, unless those are set too
+	if (pathOptions.es_analyzer !== undefined) {
+		delete fieldMapping.index_analyzer
+		delete fieldMapping.search_analyzer
+	}
+
+	Object
+	.keys(mappingOverrides)
+	.forEach(function (option) {
+		if (pathOptions[option] !== undefined) {
+			fieldMapping[mappingOverrides[option]] = pathOptions[option]
+		}
+	})
+}
+
+/**
+ * Apply the `rewrite` rules of `options` to `mapping` (see `helpers.getRewrites()`), the way they apply to documents.
+ * Fields renamed with placeholders, and pivoted fields, depend on document values - they are mapped dynamically.
+ * The rule of the legacy `flatten`/`grouper` options leaves the mapping as it is, like these options always did.
+ * @param  {Object} mapping
+ * @param  {Object} options - (optional)
+ */
+function rewriteMapping (mapping, options) {
+	helpers.getRewrites(options).forEach(function (rule) {
+		var path = rule.rename || rule.flatten || rule.pivot
+
+		if (!path || rule.legacy) {
+			return
+		}
+
+		var pathArray = path.split('.')
+		var field = pathArray.pop()
+		var parent = getMappingProperties(mapping, pathArray, false)
+
+		if (!parent || !parent[field]) {
+			return
+		}
+
+		var fieldMapping = parent[field]
+
+		if (rule.pivot) {
+			parent[field] = { type: 'object' }
+			return
+		}
+
+		delete parent[field]
+
+		if (rule.rename) {
+			if (/\{[^}]+\}/.test(rule.to)) {
+				return
+			}
+
+			var toArray = rule.to.split('.')
+			var toField = toArray.pop()
+
+			getMappingProperties(mapping, toArray, true)[toField] = fieldMapping
+			return
+		}
+
+		// flatten
+		var separator = rule.separator || '.'
+
+		;(function flattenMapping (nestedMapping, name) {
+			if (!nestedMapping.properties) {
+				parent[name] = nestedMapping
+				return
+			}
+
+			Object
+			.keys(nestedMapping.properties)
+			.forEach(function (key) {
+				flattenMapping(nestedMapping.properties[key], name + separator + key)
+			})
+		})(fieldMapping, field)
+	})
+}
+
+/**
+ * Get the `properties` of the object mapped at `pathArray` in `mapping`.
+ * @param  {Object}  mapping
+ * @param  {Array}   pathArray
+ * @param  {Boolean} create - create the object mappings that don't exist
+ * @return {Object}  undefined if the object isn't mapped, and `create` is false
+ */
+function getMappingProperties (mapping, pathArray, create) {
+	var properties = mapping.properties
+
+	for (var i = 0; i < pathArray.length; i++) {
+		if (!properties[pathArray[i]] || !properties[pathArray[i]].properties) {
+			if (!create) {
+				return
+			}
+
+			properties[pathArray[i]] = { properties: {} }
+		}
+
+		properties = properties[pathArray[i]].properties
+	}
+
+	return properties
+}
+
+/**
+ * Turn a mongoose `select` string (eg. 'name email', or '-password') into `include`/`exclude` options.
+ * @param  {String} select - (optional)
+ * @return {Object}
+ */
+function selectToOptions (select) {
+	if (!select) {
+		return {}
+	}
+
+	var fields = select.split(/\s+/).filter(Boolean)
+
+	if (fields[0][0] === '-') {
+		return {
+			exclude: fields.map(function (field) { return field.slice(1) })
+		}
+	}
+
+	return {
+		include: fields
+	}
 }
 
 exports.getElasticsearchTypeFromMongooseType = function (typeClass) {
@@ -0,0 +1,190 @@
+/*
+    Reindex documents that denormalize referenced documents (the `populate` plugin option) when those change
+ */
+var mongoose = require('mongoose'),
+    util = require('util'),
+    helpers = require('./helpers'),
+    sync = require('./sync'),
+    retry = require('./retry'),
+    errors = require('./errors')
+
+// populated references, keyed by the name of the referenced model. Values are arrays of { schema, path, select, options }
+var dependents = {}
+
+// referenced schemas that have the hooks reindexing their dependents attached
+var hookedSchemas = []
+
+/**
+ * Reindex the documents of `schema` when the documents they populate are saved or removed.
+ *
+ * Referenced models are usually defined after the models referencing them, so the hooks are attached on the next tick.
+ *
+ * @param  {Mongoose schema}    schema
+ * @param  {Object}             options     plugin options
+ */
+exports.register = function (schema, options) {
+    var populatePaths = helpers.getPopulatePaths(options)
+
+    if (!populatePaths.length) {
+        return
+    }
+
+    process.nextTick(function () {
+        populatePaths.forEach(function (populateOpts) {
+            var refModelName = helpers.getRefModelName(schema, populateOpts.path)
+            var refSchema = mongoose.modelSchemas[refModelName]
+
+            if (!refSchema) {
+                var error = new Error('Cannot reindex documents populating `'+populateOpts.path+'`: no model is defined for `'+refModelName+'`')
+                return errors.report(error, 'index', options)
+            }
+
+            dependents[refModelName] = dependents[refModelName] || []
+            dependents[refModelName].push({
+                schema: schema,
+                path: populateOpts.path,
+                select: populateOpts.select,
+                options: options
+            })
+
+            hookSchema(refSchema, refModelName)
+        })
+    })
+}
+
+/**
+ * Attach the hooks that reindex the dependents of `refSchema`'s documents.
+ *
+ * @param  {Mongoose schema}    refSchema
+ * @param  {String}             refModelName
+ * @api private
+ */
+function hookSchema (refSchema, refModelName) {
+    if (hookedSchemas.indexOf(refSchema) !== -1) {
+        return
+    }
+
+    hookedSchemas.push(refSchema)
+
+    // the modified paths are reset once the document is saved
+    refSchema.pre('save', function (next) {
+        this.$elmongooseModifiedPaths = this.isNew ? null : this.modifiedPaths()
+        return next()
+    })
+
+    refSchema.post('save', function () {
+        reindexDependents(this, refModelName, this.$elmongooseModifiedPaths)
+    })
+
+    refSchema.post('remove', function () {
+        reindexDependents(this, refModelName, null)
+    })
+}
+
+/**
+ * Reindex the documents that populate `refDoc`. Dependents that only populate fields of `refDoc` that weren't modified are skipped.
+ *
+ * @param  {Mongoose document}  refDoc
+ * @param  {String}             refModelName
+ * @param  {Array}              modifiedPaths   null if every field should be considered modified
+ * @api private
+ */
+function reindexDependents (refDoc, refModelName, modifiedPaths) {
+    (dependents[refModelName] || []).forEach(function (dependent) {
+        if (modifiedPaths && !selectsModifiedPath(dependent.select, modifiedPaths)) {
+            return
+        }
+
+        var model = findModel(refDoc, dependent.schema)
+
+        if (!model) {
+            return
+        }
+
+        var options = helpers.mergeModelOptions(dependent.options, model)
+        var indexFilter = helpers.getIndexFilter(model.schema, options)
+
+        var query = {}
+        query[dependent.path] = refDoc._id
+
+        model.find(helpers.applyIndexFilterQuery(query, indexFilter)).select('_id').lean().exec(function (err, docs) {
+            if (err) {
+                var error = new Error('Failed to find documents populating '+refModelName+' '+refDoc.id+': '+util.inspect(err, true, 10, true))
+                error.details = err
+
+                return errors.report(error, 'index', options, model)
+            }
+
+            if (!docs.length) {
+                return
+            }
+
+            var ids = docs.map(function (doc) { return doc._id })
+
+            retry.register(model, options)
+
+            sync.reindexIds(model, helpers.makeIndexName(options).toLowerCase(), ids, options, function (err, reindexed) {
+                if (err) {
+                    var error = new Error('Elasticsearch reindexing error for documents populating '+refModelName+' '+refDoc.id+': '+util.inspect(err, true, 10, true))
+                    error.details = err
+
+                    errors.report(error, 'index', options, model)
+
+                    // persist the operations, to replay them once elasticsearch is reachable
+                    retry.add(model, options, ids, 'index', error)
+                    return
+                }
+
+                if (reindexed.failures.length) {
+                    var error = new Error('Elasticsearch rejected documents reindexed after a populated document changed: '+util.inspect(reindexed.failures, true, 10, true))
+                    error.failures = reindexed.failures
+
+                    errors.report(error, 'index', options, model)
+                }
+            })
+        })
+    })
+}
+
+/**
+ * Check whether a populate `select` string includes any of `modifiedPaths`.
+ *
+ * @param  {String}     select          (optional) eg. 'name email', or '-password'
+ * @param  {Array}      modifiedPaths
+ * @return {Boolean}
+ * @api private
+ */
+function selectsModifiedPath (select, modifiedPaths) {
+    var fields = select ? select.split(/\s+/).filter(Boolean) : []
+
+    // every field is populated, or only some are excluded
+    if (!fields.length || fields[0][0] === '-') {
+        return modifiedPaths.length > 0
+    }
+
+    return modifiedPaths.some(function (path) {
+        return fields.some(function (field) {
+            return path === field || path.indexOf(field + '.') === 0 || field.indexOf(path + '.') === 0
+        })
+    })
+}
+
+/**
+ * Find the model compiled from `schema`, on the connection of `refDoc` or on the default mongoose instance.
+ *
+ * @param  {Mongoose document}  refDoc
+ * @param  {Mongoose schema}    schema
+ * @return {Mongoose model}     undefined if no model uses `schema`
+ * @api private
+ */
+function findModel (refDoc, schema) {
+    var modelSets = [ refDoc.constructor.db.models, mongoose.models ]
+
+    for (var i = 0; i < modelSets.length; i++) {
+        for (var modelName in modelSets[i]) {
+            if (modelSets[i][modelName].schema === schema) {
+                return modelSets[i][modelName]
+            }
+        }
+    }
+}
@@ -0,0 +1,179 @@
+/*
+    Keep the index in sync with `Model.update()`, `Model.remove()`, `Model.findOneAndUpdate()` and `Model.findOneAndRemove()`,
+    which write to the collection without running the document middleware
+ */
+var mongoose = require('mongoose'),
+    util = require('util'),
+    helpers = require('./helpers'),
+    sync = require('./sync'),
+    writeBuffer = require('./buffer'),
+    retry = require('./retry'),
+    errors = require('./errors')
+
+// model statics that are hooked, and whether the `_id`s they affect must be found before the query runs
+var HOOKED_STATICS = {
+    update: true,
+    remove: true,
+    findOneAndUpdate: false,
+    findOneAndRemove: false
+}
+
+exports.hookedStatics = Object.keys(HOOKED_STATICS)
+
+/**
+ * Call mongoose's own `Model[method]` with `args`, and hook the query it builds so that the documents it affects are
+ * reindexed once it runs. `findByIdAndUpdate()` and `findByIdAndRemove()` go through `findOneAndUpdate()` and
+ * `findOneAndRemove()`, so they are covered too.
+ *
+ * Like with the post-save hook, indexing happens after the query's callback is called, and errors are reported through lib/errors.js.
+ *
+ * @param  {Mongoose model}     model
+ * @param  {String}             method      one of `exports.hookedStatics`
+ * @param  {Arguments}          args        arguments `Model[method]` was called with
+ * @param  {Object}             options
+ * @return {Query}
+ */
+exports.callStatic = function (model, method, args, options) {
+    args = Array.prototype.slice.call(args)
+
+    var callback = typeof args[args.length - 1] === 'function' ? args.pop() : null
+
+    // `Model.update(doc, callback)` updates every document - mongoose only shifts the arguments when a callback is passed
+    if (method === 'update' && callback && args.length === 1) {
+        args.unshift({})
+    }
+
+    var query = mongoose.Model[method].apply(model, args)
+
+    retry.register(model, options)
+
+    hookQuery(query, options)
+
+    if (callback) {
+        model._applyNamedScope(query)
+        query.exec(callback)
+    }
+
+    return query
+}
+
+/**
+ * Wrap `query.exec()`, to reindex the documents affected by the query once it has run.
+ *
+ * `update` and `remove` queries only report how many documents they affected, so the `_id`s of the documents matching
+ * the query are found first (only the first match, unless the `multi` option is set for an update).
+ * `findOneAndUpdate` and `findOneAndRemove` queries pass back the affected document.
+ *
+ * @param  {Query}  query
+ * @param  {Object} options
+ * @api private
+ */
+function hookQuery (query, options) {
+    query.exec = function (op, callback) {
+        if (typeof op === 'function') {
+            callback = op
+            op = null
+        }
+
+        if (op) {
+            query.op = op
+        }
+
+        if (!HOOKED_STATICS.hasOwnProperty(query.op)) {
+            return mongoose.Query.prototype.exec.call(query, callback)
+        }
+
+        var promise = new mongoose.Promise()
+
+        if (callback) {
+            promise.addBack(callback)
+        }
+
+        findAffectedIds(query, function (err, ids) {
+            if (err) {
+                return promise.error(err)
+            }
+
+            function onResult (err, result, raw) {
+                if (err) {
+                    return promise.error(err)
+                }
+
+                // upserted documents are only known once the update has run
+                if (query.op === 'update' && raw && raw.upserted) {
+                    ids.push(raw.upserted)
+                }
+
+                if ((query.op === 'findOneAndUpdate' || query.op === 'findOneAndRemove') && result) {
+                    ids.push(result._id)
+                }
+
+                promise.fulfill.apply(promise, Array.prototype.slice.call(arguments, 1))
+
+                if (!ids.length) {
+                    return
+                }
+
+                // buffered post-save operations on these documents are older than their state in MongoDB
+                writeBuffer.discard(options, ids)
+
+                var action = query.op === 'remove' || query.op === 'findOneAndRemove' ? 'unindex' : 'index'
+
+                sync.reindexIds(query.model, helpers.makeIndexName(options).toLowerCase(), ids, options, function (err, reindexed) {
+                    if (err) {
+                        var error = new Error('Elasticsearch query reindexing error: '+util.inspect(err, true, 10, true))
+                        error.details = err
+
+                        errors.report(error, action, options, query.model)
+
+                        // persist the operations, to replay them once elasticsearch is reachable
+                        retry.add(query.model, options, ids, action, error)
+                        return
+                    }
+
+                    if (reindexed.failures.length) {
+                        var error = new Error('Elasticsearch rejected documents reindexed after a query: '+util.inspect(reindexed.failures, true, 10, true))
+                        error.failures = reindexed.failures
+
+                        errors.report(error, action, options, query.model)
+                    }
+                })
+            }
+
+            if (query.op === 'update') {
+                return query.update(query._updateArg, onResult)
+            }
+
+            return query[query.op](onResult)
+        })
+
+        return promise
+    }
+}
+
+/**
+ * Find the `_id`s of the documents an `update` or `remove` query will affect. Passes an empty array for other queries.
+ *
+ * @param  {Query}      query
+ * @param  {Function}   cb      Signature: function (err, ids)
+ * @api private
+ */
+function findAffectedIds (query, cb) {
+    if (!HOOKED_STATICS[query.op]) {
+        return cb(null, [])
+    }
+
+    var idQuery = query.model.find(query._conditions).select('_id').lean()
+
+    if (query.op === 'update' && !(query.options && query.options.multi)) {
+        idQuery.limit(1)
+    }
+
+    idQuery.exec(function (err, docs) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, docs.map(function (doc) { return doc._id }))
+    })
+}
@@ -0,0 +1,298 @@
+/*
+    Persist index operations that could not reach elasticsearch, and replay them once it recovers
+ */
+var async = require('async'),
+    util = require('util'),
+    helpers = require('./helpers'),
+    sync = require('./sync'),
+    errors = require('./errors')
+
+// name of the collection holding one pending operation per document, in the default store
+var DEFAULT_COLLECTION = 'elmongoose_pending'
+
+// default number of milliseconds between attempts to replay pending operations
+var RETRY_INTERVAL = 30*1000
+
+// models whose pending operations are replayed, keyed by alias name. Values have keys: model, options, store, timer, replaying, dirty
+var registered = {}
+
+// stores in use, so that `pendingOperations()` lists each one once
+var stores = []
+
+/**
+ * Create the default store, which keeps pending operations in a MongoDB collection.
+ *
+ * A custom store can be passed in the `retryStore` plugin option. It must implement the same methods:
+ *  - `save(operation, cb)`     insert `operation`, or replace the one with the same `_id`
+ *  - `list(cb)`                callback with every pending operation
+ *  - `remove(ids, cb)`         remove the operations with `_id` in `ids`
+ *
+ * @param  {Object} collection  mongodb collection
+ * @return {Object}
+ */
+exports.mongoStore = function (collection) {
+    return {
+        save: function (operation, cb) {
+            collection.update({ _id: operation._id }, operation, { upsert: true, w: 1 }, function (err) {
+                return cb(err)
+            })
+        },
+        list: function (cb) {
+            collection.find({}, { sort: { failedAt: 1 } }, function (err, cursor) {
+                if (err) {
+                    return cb(err)
+                }
+
+                cursor.toArray(cb)
+            })
+        },
+        remove: function (ids, cb) {
+            collection.remove({ _id: { $in: ids } }, { w: 1 }, function (err) {
+                return cb(err)
+            })
+        }
+    }
+}
+
+/**
+ * Get the store that `model`'s pending operations are kept in.
+ *
+ * @param  {Mongoose model} model
+ * @param  {Object}         options
+ * @return {Object}
+ * @api private
+ */
+function getStore (model, options) {
+    if (options.retryStore) {
+        if (stores.indexOf(options.retryStore) === -1) {
+            stores.push(options.retryStore)
+        }
+
+        return options.retryStore
+    }
+
+    var collectionName = options.retryCollection || DEFAULT_COLLECTION
+    var key = model.db.name + '.' + collectionName
+
+    for (var i = 0; i < stores.length; i++) {
+        if (stores[i].key === key) {
+            return stores[i]
+        }
+    }
+
+    var store = exports.mongoStore(model.db.collection(collectionName))
+    store.key = key
+
+    stores.push(store)
+
+    return store
+}
+
+/**
+ * Start replaying the pending operations of `model`, if it's not registered yet. Registering happens when the model
+ * is compiled, so operations left pending by a previous process are picked up (and listed) before this one writes.
+ *
+ * @param  {Mongoose model} model
+ * @param  {Object}         options
+ */
+exports.register = function (model, options) {
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    if (registered[aliasName]) {
+        registered[aliasName].options = options
+        return
+    }
+
+    registered[aliasName] = {
+        model: model,
+        options: options,
+        store: getStore(model, options),
+        timer: null,
+        replaying: false,
+        dirty: false
+    }
+
+    // replay whatever a previous process left pending
+    scheduleReplay(aliasName, 0)
+}
+
+/**
+ * Persist index operations that failed because elasticsearch could not be reached, and schedule replaying them.
+ * There is one pending operation per document - replaying reindexes the document's current state in MongoDB
+ * (or deletes it from the index if it's gone), so a newer failed operation replaces an older one.
+ *
+ * @param  {Mongoose model} model
+ * @param  {Object}         options
+ * @param  {Array}          ids         `_id`s of the documents
+ * @param  {String}         action      'index' or 'unindex'
+ * @param  {Error}          err         why the operation failed
+ */
+exports.add = function (model, options, ids, action, err) {
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    exports.register(model, options)
+
+    var store = registered[aliasName].store
+
+    async.each(ids, function (id, next) {
+        store.save({
+            _id: aliasName + ':' + id,
+            index: aliasName,
+            model: model.modelName,
+            docId: String(id),
+            action: action,
+            error: err.message,
+            rejected: false,
+            attempts: 0,
+            failedAt: new Date()
+        }, next)
+    }, function (saveErr) {
+        if (saveErr) {
+            var error = new Error('Failed to persist index operations for retry: '+util.inspect(saveErr, true, 10, true))
+            error.details = saveErr
+
+            return errors.report(error, action, options, model)
+        }
+
+        scheduleReplay(aliasName)
+    })
+}
+
+/**
+ * List the pending operations in every store in use.
+ *
+ * Each operation has keys: _id, index, model, docId, action, error, rejected, attempts, failedAt.
+ * Operations elasticsearch rejected when replayed (eg. a mapping conflict) have `rejected: true`,
+ * and are not replayed again - they are kept for inspection. Operations that failed with a retryable
+ * status (eg. 429 or 503) stay pending, and are replayed again later.
+ *
+ * @param  {Function} cb    Signature: function (err, operations)
+ */
+exports.pendingOperations = function (cb) {
+    async.map(stores, function (store, next) {
+        store.list(next)
+    }, function (err, lists) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, Array.prototype.concat.apply([], lists))
+    })
+}
+
+/**
+ * Replay the pending operations for `aliasName` after `delay` ms (`retryInterval` by default), unless a replay is scheduled already.
+ * Operations added while a replay runs get another replay.
+ *
+ * @param  {String} aliasName
+ * @param  {Number} delay
+ * @api private
+ */
+function scheduleReplay (aliasName, delay) {
+    var entry = registered[aliasName]
+
+    if (entry.timer) {
+        entry.dirty = entry.replaying
+        return
+    }
+
+    if (delay === undefined) {
+        delay = entry.options.retryInterval || RETRY_INTERVAL
+    }
+
+    entry.timer = setTimeout(function () {
+        entry.replaying = true
+        entry.dirty = false
+
+        replay(aliasName, function (err, retryable) {
+            entry.timer = null
+            entry.replaying = false
+
+            if (err) {
+                errors.report(err, 'replay', entry.options, entry.model)
+            }
+
+            // elasticsearch is still unreachable or overloaded, or operations were added during the replay
+            if (err || retryable || entry.dirty) {
+                scheduleReplay(aliasName)
+            }
+        })
+    }, delay)
+
+    // don't keep the process alive just to replay
+    if (entry.timer.unref) {
+        entry.timer.unref()
+    }
+}
+
+/**
+ * Reindex the documents with pending operations for `aliasName`, and remove the operations that succeeded.
+ * Failed operations stay pending if their status is retryable, and are marked rejected otherwise.
+ *
+ * @param  {String}     aliasName
+ * @param  {Function}   cb          Signature: function (err, retryable) - `retryable` is how many operations need another replay
+ * @api private
+ */
+function replay (aliasName, cb) {
+    var entry = registered[aliasName]
+
+    entry.store.list(function (err, operations) {
+        if (err) {
+            return cb(err)
+        }
+
+        operations = operations.filter(function (operation) {
+            return operation.index === aliasName && !operation.rejected
+        })
+
+        if (!operations.length) {
+            return cb()
+        }
+
+        // `_id`s are cast to the schema's `_id` type by the query that reads the documents back
+        var ids = operations.map(function (operation) { return operation.docId })
+
+        sync.reindexIds(entry.model, aliasName, ids, entry.options, function (err, result) {
+            if (err) {
+                var error = new Error('Elasticsearch is still unreachable, '+operations.length+' index operations remain pending: '+util.inspect(err, true, 10, true))
+                error.details = err
+                return cb(error)
+            }
+
+            var failures = {}
+
+            result.failures.forEach(function (failure) {
+                failures[failure._id] = failure
+            })
+
+            var succeeded = operations.filter(function (operation) { return !failures[operation.docId] })
+            var failed = operations.filter(function (operation) { return failures[operation.docId] })
+
+            async.series({
+                removeSucceeded: function (next) {
+                    if (!succeeded.length) {
+                        return next()
+                    }
+
+                    entry.store.remove(succeeded.map(function (operation) { return operation._id }), next)
+                },
+                saveFailed: function (next) {
+                    async.each(failed, function (operation, eachNext) {
+                        var failure = failures[operation.docId]
+
+                        // eg. elasticsearch was overloaded - keep it pending for the next replay
+                        operation.rejected = !helpers.isRetryableStatus(failure.status)
+                        operation.attempts++
+                        operation.error = failure.reason
+
+                        entry.store.save(operation, eachNext)
+                    }, next)
+                }
+            }, function (err) {
+                var retryable = failed.filter(function (operation) { return !operation.rejected }).length
+
+                return cb(err, retryable)
+            })
+        })
+    })
+}
@@ -0,0 +1,112 @@
+/*
+    Generate the settings elasticsearch indices are created with
+ */
+
+// elasticsearch's default refresh interval, restored after bulk indexing if no `refresh_interval` is configured
+exports.DEFAULT_REFRESH_INTERVAL = '1s'
+
+/**
+ * Default index settings. Defines the analyzers used for search, indexing and autocomplete.
+ *
+ * @return {Object}
+ */
+exports.defaultSettings = function () {
+    return {
+        number_of_shards : 3,
+        number_of_replicas : 2,
+        analysis: {
+            // analyzer definitions go here
+            analyzer: {
+                // default analyzer used for search & indexing
+                default: {
+                    tokenizer: 'uax_url_email',
+                    // indexing/search analysis:
+                    // - trims leading/trailing whitespace
+                    // - is case-insensitive
+                    // - transforms non ascii characters into ascii character equivalents
+                    // - splits on word/number boundaries and other delimiter rules
+                    filter: [ 'trim', 'lowercase', 'asciifolding', 'word_delimiter_1' ]
+                },
+                // analyzer to use in indexing for autocomplete - we want ngrams of our data to be indexed
+                autocomplete_index: {
+                    type: 'custom',
+                    // use our own own ngram tokenizer
+                    tokenizer: 'autocomplete_ngram',
+                    filter: [ 'trim', 'lowercase', 'asciifolding', 'word_delimiter_1' ]
+                },
+                // analyzer to use in analyzing autocomplete search queries (don't generate ngrams from search queries)
+                autocomplete_search: {
+                    type: 'custom',
+                    tokenizer: 'keyword',
+                    filter: [ 'trim', 'lowercase', 'asciifolding' ]
+                }
+            },
+            // filter definitions go here
+            filter: {
+                // custom word_delimiter filter to preserve original input as well as tokenize it
+                word_delimiter_1: {
+                    type: 'word_delimiter',
+                    preserve_original: true
+                }
+            },
+            // tokenizer definitions go here
+            tokenizer: {
+                // tokenizer to use for generating ngrams of our indexed data
+                autocomplete_ngram: {
+                    type: 'edgeNGram',
+                    // min and max ngram length
+                    min_gram: 1,
+                    max_gram: 50,
+                    // generate ngrams that start from the front of the token only (eg. c, ca, cat)
+                    side: 'front'
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Generate the index settings for `schema`: the default settings, deep-merged with the schema's `es_settings` option,
+ * then with the plugin's `options.settings` (eg. shard & replica counts, refresh_interval, custom analyzers).
+ *
+ * @param  {Object} schema      mongoose schema
+ * @param  {Object} options     elmongoose options
+ * @return {Object}
+ */
+exports.generateSettings = function (schema, options) {
+    var settings = exports.defaultSettings()
+
+    if (schema && schema.options && schema.options.es_settings) {
+        merge(settings, schema.options.es_settings)
+    }
+
+    if (options && options.settings) {
+        merge(settings, options.settings)
+    }
+
+    return settings
+}
+
+/**
+ * Deep-merge `source` into `target`. Arrays and primitives in `source` replace those in `target`.
+ *
+ * @param  {Object} target
+ * @param  {Object} source
+ * @return {Object} target
+ * @api private
+ */
+function merge (target, source) {
+    Object
+    .keys(source)
+    .forEach(function (key) {
+        var value = source[key]
+
+        if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            merge(target[key], value)
+        } else {
+            target[key] = value
+        }
+    })
+
+    return target
+}
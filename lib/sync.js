@@ -4,102 +4,185 @@
 var request = require('request'),
     async = require('async'),
     util = require('util'),
+    EventEmitter = require('events').EventEmitter,
     mongoose = require('mongoose'),
     url = require('url'),
     helpers = require('./helpers'),
-    mapping = require('./mapping')
+    mapping = require('./mapping'),
+    settings = require('./settings'),
+    checkpoint = require('./checkpoint'),
+    lock = require('./lock'),
+    verify = require('./verify')
 
 request.defaults({agent:false})
 
-//how many docs to index at a time in bulk
-var BATCH_SIZE = 1000
-var excludedDocs = 0;
-var csc = 0;
+// default number of docs to index per bulk request
+var BATCH_SIZE = 500
+
+// default maximum size of a bulk request body, in bytes
+var MAX_BATCH_BYTES = 10*1024*1024
+
+// default number of bulk requests to keep in flight
+var CONCURRENCY = 1
+
+// times to delete a concrete index under the alias name and add the alias, if writes in between keep re-creating the index
+var CONCRETE_INDEX_ATTEMPTS = 3
+
+// passed down `async.series` to end a sync early without an error (skipped because another sync holds the lock, or a dry run)
+var STOP = {}
 
 /**
  * Sync (re-index) the collection with Elasticsearch, with zero downtime.
  *
+ * Progress is checkpointed in MongoDB after every bulk request. If `syncOpts.resume` is set and a previous sync
+ * was interrupted, indexing continues into that sync's versioned index after the last checkpointed `_id`.
+ *
+ * A lock in MongoDB keeps concurrent syncs of the same collection from racing on its alias. If another sync holds it,
+ * `syncOpts.onLocked` decides whether to `fail` (default), `skip` (the report has `skipped: true`) or `wait` for it.
+ *
+ * With `syncOpts.verify`, the populated index is compared to the collection before the alias is swapped (see lib/verify.js).
+ * If verification fails, the alias is left alone and the new index is kept for inspection. `syncOpts.verify` can be
+ * `true`, or an object with keys: sampleSize, threshold. With `syncOpts.dryRun`, the sync stops before swapping the alias.
+ *
+ * Returns an EventEmitter that reports on this sync run:
+ *  - `batch`       after each bulk request. Passes the batch's entry in the report.
+ *  - `progress`    after each bulk request. Passes { indexed, total, excluded, failed }
+ *  - `done`        when the sync is complete. Passes the sync report (see `createReport()`)
+ *  - `error`       when the sync fails (only emitted if there are listeners, or no `cb` was passed)
+ *
  * @param  {Mongoose schema}    schema
  * @param  {Object}             options
- * @param  {Function}           cb
+ * @param  {Object}             syncOpts    Keys: resume, maxFailures, onLocked, waitTimeout, verify, dryRun
+ * @param  {Function}           cb          Signature: function (err, docsToIndex, report)
+ * @return {EventEmitter}
  *
  */
-module.exports = function (schema, options, cb) {
+exports = module.exports = function (schema, options, syncOpts, cb) {
     var self = this
-    var versionedUri = (helpers.makeIndexUri(options)).toLowerCase()
+
+    // the un-versioned index name is used as an alias, pointing at the versioned index that is live
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    // the versioned index is named once the lock is acquired, so a sync that waited for the lock gets a newer version
+    var versionedIndexName = null
+
+    var versionedUri = null
 
     // console.log('versionedUri', versionedUri)
 
     var docsToIndex = null
 
-    var versionedIndexName = url.parse(versionedUri).pathname.slice(1)
-
     var indicesToRemove = null
 
+    // index versions that were live, and are retained so they can be rolled back to - oldest first
+    var liveHistory = null
+
+    // checkpoint of an interrupted sync that is being resumed
+    var resumeFrom = null
+
+    // lock held on the alias for the duration of the sync
+    var syncLock = null
+
+    var emitter = new EventEmitter()
+
+    var report = createReport(versionedIndexName, aliasName)
+
     var autocompletePaths = [];
 
-    var indexMap = mapping.generateMapping(this.schema)
+    var indexMap = mapping.generateMapping(this.schema, options)
+
+    // documents not matching the index filter are left out of the index
+    var indexFilter = helpers.getIndexFilter(schema, options)
 
     async.series({
+        // make sure no other sync of this collection is running
+        acquireLock: function (next) {
+            var lockOpts = {
+                collection: options.lockCollection,
+                ttl: options.lockTtl,
+                onLocked: syncOpts.onLocked,
+                waitTimeout: syncOpts.waitTimeout
+            }
+
+            lock.acquire(self, aliasName, lockOpts, function (err, acquiredLock) {
+                if (err) {
+                    return next(err)
+                }
+
+                if (!acquiredLock) {
+                    // another sync is running and we were asked to skip
+                    report.skipped = true
+                    return next(STOP)
+                }
+
+                syncLock = acquiredLock
+
+                versionedIndexName = helpers.makeVersionedIndexName(options)
+                versionedUri = helpers.makeDomainUri(options) + '/' + versionedIndexName
+                report.indexName = versionedIndexName
+
+                return next()
+            })
+        },
+        // find the checkpoint left by an interrupted sync - resume it, or discard its partially populated index
+        loadCheckpoint: function (next) {
+            checkpoint.load(self, aliasName, options, function (err, savedCheckpoint) {
+                if (err) {
+                    return next(err)
+                }
+
+                if (!savedCheckpoint) {
+                    return next()
+                }
+
+                getAliases(options, function (err, body) {
+                    if (err) {
+                        return next(err)
+                    }
+
+                    var savedIndex = body[savedCheckpoint.indexName]
+                    var indexExists = !!savedIndex
+
+                    // the interrupted sync swapped the alias before failing - its index is live, and there's nothing to resume
+                    if (indexExists && savedIndex.aliases && savedIndex.aliases[aliasName]) {
+                        return checkpoint.remove(self, aliasName, options, next)
+                    }
+
+                    if (syncOpts.resume && indexExists) {
+                        resumeFrom = savedCheckpoint
+                        versionedIndexName = savedCheckpoint.indexName
+                        report.indexName = versionedIndexName
+                        report.resumed = true
+                        report.indexed = savedCheckpoint.indexed || 0
+                        versionedUri = helpers.makeDomainUri(options) + '/' + versionedIndexName
+                        return next()
+                    }
+
+                    if (!indexExists) {
+                        return next()
+                    }
+
+                    // a fresh sync was requested - the interrupted sync's index will never be aliased
+                    return deleteIndex(savedCheckpoint.indexName, options, next)
+                })
+            })
+        },
         // create an elasticsearch index, versioned with the current timestamp
         createVersionedIndex: function (next) {
+            // a resumed sync keeps populating the index it created before being interrupted
+            if (resumeFrom) {
+                return next()
+            }
 
-            // index creation options
+            // index creation options. Replicas and periodic refreshes are turned off while the index is populated,
+            // which makes bulk indexing much faster - the configured values are restored once it's populated.
             var body = {
-                settings: {
-                    number_of_shards : 3,
-                    number_of_replicas : 2,
-                    analysis: {
-                        // analyzer definitions go here
-                        analyzer: {
-                            // default analyzer used for search & indexing
-                            default: {
-                                tokenizer: 'uax_url_email',
-                                // indexing/search analysis:
-                                // - trims leading/trailing whitespace
-                                // - is case-insensitive
-                                // - transforms non ascii characters into ascii character equivalents
-                                // - splits on word/number boundaries and other delimiter rules
-                                filter: [ 'trim', 'lowercase', 'asciifolding', 'word_delimiter_1' ]
-                            },
-                            // analyzer to use in indexing for autocomplete - we want ngrams of our data to be indexed
-                            autocomplete_index: {
-                                type: 'custom',
-                                // use our own own ngram tokenizer
-                                tokenizer: 'autocomplete_ngram',
-                                filter: [ 'trim', 'lowercase', 'asciifolding', 'word_delimiter_1' ]
-                            },
-                            // analyzer to use in analyzing autocomplete search queries (don't generate ngrams from search queries)
-                            autocomplete_search: {
-                                type: 'custom',
-                                tokenizer: 'keyword',
-                                filter: [ 'trim', 'lowercase', 'asciifolding' ]
-                            }
-                        },
-                        // filter definitions go here
-                        filter: {
-                            // custom word_delimiter filter to preserve original input as well as tokenize it
-                            word_delimiter_1: {
-                                type: 'word_delimiter',
-                                preserve_original: true
-                            }
-                        },
-                        // tokenizer definitions go here
-                        tokenizer: {
-                            // tokenizer to use for generating ngrams of our indexed data
-                            autocomplete_ngram: {
-                                type: 'edgeNGram',
-                                // min and max ngram length
-                                min_gram: 1,
-                                max_gram: 50,
-                                // generate ngrams that start from the front of the token only (eg. c, ca, cat)
-                                side: 'front'
-                            }
-                        }
-                    }
-                }
+                settings: settings.generateSettings(self.schema, options)
             }
 
+            body.settings.number_of_replicas = 0
+            body.settings.refresh_interval = -1
+
             // if non-default mapping info was defined on the schema (e.g. autocomplete), apply the mappings to the index
             body.mappings = {}
             body.mappings[options.type] = indexMap
@@ -124,7 +207,7 @@ module.exports = function (schema, options, cb) {
 
             helpers.backOffRequest(reqOpts, function (err, res, body) {
                 if (err) {
-                    return cb(err)
+                    return next(err)
                 }
 
                 if (!helpers.elasticsearchBodyOk(body)) {
@@ -139,12 +222,13 @@ module.exports = function (schema, options, cb) {
         },
         // get a count of how many documents we have to index
         countDocs: function (next) {
-            self.count().exec(function (err, count) {
+            self.count(helpers.applyIndexFilterQuery({}, indexFilter)).exec(function (err, count) {
                 if (err) {
                     return next(err)
                 }
 
                 docsToIndex = count
+                report.total = count
 
                 return next()
             })
@@ -156,79 +240,70 @@ module.exports = function (schema, options, cb) {
                 return next()
             }
 
-            // stream docs - and upload in batches of size BATCH_SIZE
-            var docStream = self.find().stream()
+            // stream docs in `_id` order so progress can be checkpointed
+            var query = resumeFrom ? { _id: { $gt: resumeFrom.lastId } } : {}
 
-            // elasticsearch commands to perform batch-indexing
-            var commandSequence = [];
+            var docStream = self.find(helpers.applyIndexFilterQuery(query, indexFilter)).sort({ _id: 1 }).stream()
 
-            docStream.on('data', function (doc) {
-                if (!doc || !doc._id) {
-                    excludedDocs++;
-                    return
+            // checkpoint our progress after each batch
+            function afterBatch (batch, lastDoc, batchNext) {
+                var progress = {
+                    indexName: versionedIndexName,
+                    lastId: lastDoc._id,
+                    indexed: report.indexed
                 }
 
-                // get rid of mongoose-added functions
-                doc = helpers.serializeModel(doc,options)
-
-                var selfStream = this
-                var strObjectId = doc._id
-
-                var command = {
-                    index: {
-                        _index: versionedIndexName,
-                        _type: options.type,
-                        _id: strObjectId
+                checkpoint.save(self, aliasName, progress, options, function (err) {
+                    if (err) {
+                        return batchNext(err)
                     }
-                }
 
-                // append elasticsearch command and JSON-ified doc to command
-                commandSequence.push(command)
-                commandSequence.push(doc)
-
-
-                if (commandSequence.length === BATCH_SIZE) {
-                    // pause the stream of incoming docs until we're done
-                    // indexing the batch in elasticsearch
-                    selfStream.pause()
-
-                    exports.bulkIndexRequest(versionedIndexName, commandSequence, options, function (err) {
-                        if (err) {
-                            return next(err)
-                        }
+                    emitter.emit('batch', batch)
+                    emitter.emit('progress', {
+                        indexed: report.indexed,
+                        total: report.total,
+                        excluded: report.excluded,
+                        failed: report.failed
+                    })
 
-                        // empty our commandSequence
-                        commandSequence = []
+                    return batchNext()
+                })
+            }
 
-                        // keep streaming now that we're ready to accept more
-                        selfStream.resume()
-                    })
-                }
-            })
+            var run = {
+                report: report,
+                maxFailures: syncOpts.maxFailures,
+                indexFilter: indexFilter,
+                afterBatch: afterBatch
+            }
 
-            docStream.on('close', function () {
-                // if no documents left in buffer, don't perform a bulk index request
-                if (!commandSequence.length) {
-                    return next()
+            bulkIndexStream(docStream, versionedIndexName, options, run, next)
+        },
+        // restore the configured replica count and refresh interval that were turned off for bulk indexing
+        restoreIndexSettings: function (next) {
+            var configuredSettings = settings.generateSettings(self.schema, options)
+
+            var requestBody = {
+                index: {
+                    number_of_replicas: configuredSettings.number_of_replicas,
+                    refresh_interval: configuredSettings.refresh_interval || settings.DEFAULT_REFRESH_INTERVAL
                 }
+            }
 
-                // take care of the rest of the docs left in the buffer
-                exports.bulkIndexRequest(versionedIndexName, commandSequence, options, function (err) {
-                    if (err) {
-                        return next(err)
-                    }
-
-                    // empty the commandSequence
-                    commandSequence = []
+            var reqOpts = {
+                method: 'PUT',
+                url: versionedUri + '/_settings',
+                body: JSON.stringify(requestBody)
+            }
 
-                    return next()
-                })
+            acknowledgedRequest(reqOpts, options, 'Index settings update error for index '+versionedIndexName+'.', function (err) {
+                return next(err)
             })
         },
         refreshIndices: function (next) {
             var reqOpts = {
                 method: 'POST',
-                url: helpers.makeDomainUri(options) + '/_refresh'
+                url: versionedUri + '/_refresh'
             }
 
             if(options.auth) {
@@ -255,23 +330,50 @@ module.exports = function (schema, options, cb) {
                 return next()
             })
         },
-        // atomically replace existing aliases for this collection with the new one we just created
-        replaceAliases: function (next) {
+        // wait for the index to be allocated before it's made live
+        waitForIndexHealth: function (next) {
+            waitForIndexHealth(versionedIndexName, options, next)
+        },
+        // check the new index is sane before making it live
+        verifyIndex: function (next) {
+            if (!syncOpts.verify) {
+                return next()
+            }
 
-            var reqOpts = {
-                method: 'GET',
-                url: helpers.makeAliasUri(options)
+            var verifyOpts = typeof syncOpts.verify === 'object' ? syncOpts.verify : {}
+
+            verify(self, versionedIndexName, options, verifyOpts, function (err, verification) {
+                report.verification = verification || null
+
+                return next(err)
+            })
+        },
+        // a dry run leaves the new index for inspection, without making it live
+        stopDryRun: function (next) {
+            if (syncOpts.dryRun) {
+                report.dryRun = true
+                return next(STOP)
             }
 
-            if(options.auth) {
-                reqOpts.auth = {
-                    user: options.auth.user,
-                    pass: options.auth.password,
-                    sendImmediately: false
-                };
+            return next()
+        },
+        // find the index versions that were live before, to retain for rollbacks
+        loadLiveHistory: function (next) {
+            checkpoint.loadLiveHistory(self, aliasName, options, function (err, history) {
+                liveHistory = history
+
+                return next(err)
+            })
+        },
+        // atomically point the alias for this collection at the new versioned index
+        replaceAliases: function (next) {
+            if (syncLock.lost) {
+                var error = new Error('Lost the sync lock on `'+aliasName+'` to another process. Not swapping the alias - '+versionedIndexName+' can be resumed or will be deleted by the next sync.')
+                error.code = 'ELOCKLOST'
+                return next(error)
             }
 
-            helpers.backOffRequest(reqOpts, function (err, res, body) {
+            getAliases(options, function (err, body) {
                 if (err) {
                     return next(err)
                 }
@@ -280,29 +382,34 @@ module.exports = function (schema, options, cb) {
 
                 // console.log('\nexistingIndices', body)
 
-                var aliasName = helpers.makeIndexName(options)
-
-                // get all aliases pertaining to this collection & are not the index we just created
-                // we will remove all of them
+                // get all versioned indices previously created for this collection
                 indicesToRemove = existingIndices.filter(function (indexName) {
-                    return (indexName.indexOf(aliasName) === 0 && indexName !== versionedIndexName)
+                    return indexName !== versionedIndexName && helpers.isVersionedIndexName(indexName, options)
                 })
 
                 // console.log('\nindicesToRemove', indicesToRemove)
 
-                // generate elasticsearch request body to atomically remove old indices and add the new one
-                var requestBody = {
-                    actions: [
-                        {
-                            add: {
-                                alias: aliasName,
-                                index: versionedIndexName
-                            }
+                // of those, the most recently live ones are retained for rollbacks
+                liveHistory = getRetainedVersions(liveHistory, body, aliasName, indicesToRemove, options.keepVersions || 0)
+
+                // generate elasticsearch actions to atomically move the alias from the old indices to the new one
+                var actions = [
+                    {
+                        add: {
+                            alias: aliasName,
+                            index: versionedIndexName
                         }
-                    ]
-                }
+                    }
+                ]
 
                 indicesToRemove.forEach(function (indexToRemove) {
+                    var aliases = body[indexToRemove] && body[indexToRemove].aliases
+
+                    // only indices currently behind the alias need it removed
+                    if (!aliases || !aliases[aliasName]) {
+                        return
+                    }
+
                     var removeObj = {
                         remove: {
                             alias: aliasName,
@@ -310,138 +417,1160 @@ module.exports = function (schema, options, cb) {
                         }
                     }
 
-                    requestBody.actions.unshift(removeObj)
+                    actions.unshift(removeObj)
                 })
 
-                var reqOpts = {
-                    method: 'POST',
-                    url: helpers.makeAliasUri(options),
-                    body: JSON.stringify(requestBody)
+                // On the first sync, a concrete index may exist under the alias name (eg. elasticsearch auto-created it
+                // when a document was saved before `Model.sync()` ever ran). An alias can't have the same name as an index,
+                // so the concrete index is deleted right before the alias is added in its place.
+                if (existingIndices.indexOf(aliasName) !== -1) {
+                    return replaceConcreteIndex(aliasName, actions, options, CONCRETE_INDEX_ATTEMPTS, next)
                 }
 
-                if(options.auth) {
-                    reqOpts.auth = {
-                        user: options.auth.user,
-                        pass: options.auth.password,
-                        sendImmediately: false
-                    };
-                }
-
-                helpers.backOffRequest(reqOpts, function (err, res, body) {
-                    if (err) {
-                        return next(err)
-                    }
-
-                    if (!helpers.elasticsearchBodyOk(body)) {
-                        var error = new Error('Alias deletion error. Elasticsearch reply:'+util.inspect(body, true, 10, true))
-                        error.elasticsearchReply = body
-                        error.elasticsearchRequestBody = requestBody
-                        return next(error)
-                    }
-
-                    return next()
-                })
+                return updateAliases(actions, options, next)
             })
         },
-        // delete the unused indices for this collection from elasticsearch
+        // the new index is live - nothing left to resume, and it must never be deleted as a partially populated index
+        removeCheckpoint: function (next) {
+            checkpoint.remove(self, aliasName, options, next)
+        },
+        // record the new index as live, after the versions retained for rollbacks
+        saveLiveHistory: function (next) {
+            checkpoint.saveLiveHistory(self, aliasName, liveHistory.concat(versionedIndexName), options, next)
+        },
+        // close the retained old indices so they can be rolled back to, delete the rest
         deleteUnusedIndices: function (next) {
-            // generate parallel functions to delete unused indices
-            var parDeleteFns = indicesToRemove.map(function (indexToRemove) {
-
+            var parFns = indicesToRemove.map(function (indexToRemove) {
                 return function (parNext) {
-                    var reqOpts = {
-                        method: 'DELETE',
-                        url: helpers.makeDomainUri(options) + '/' + indexToRemove
-                    }
-
-                    if(options.auth) {
-                        reqOpts.auth = {
-                            user: options.auth.user,
-                            pass: options.auth.password,
-                            sendImmediately: false
-                        };
+                    if (liveHistory.indexOf(indexToRemove) !== -1) {
+                        // closed indices don't show up in wildcard searches, and don't use up cluster resources
+                        return closeIndex(indexToRemove, options, parNext)
                     }
 
-                    // console.log('\nindex deletion reqOpts', reqOpts)
-
-                    helpers.backOffRequest(reqOpts, function (err, res, body) {
-                        if (err) {
-                            return parNext(err)
-                        }
-
-                        if (!helpers.elasticsearchBodyOk(body)) {
-                            var error = new Error('Index deletion error for index '+indexToRemove+'. Elasticsearch reply:'+util.inspect(body, true, 10, true))
-                            error.elasticsearchReply = body
-                            return parNext(error)
-                        }
-
-                        return parNext()
-                    })
+                    return deleteIndex(indexToRemove, options, parNext)
                 }
             })
 
-            async.parallel(parDeleteFns, next)
+            async.parallel(parFns, next)
         }
     }, function (err) {
+        if (err === STOP) {
+            err = null
+        }
+
+        if (!syncLock) {
+            return finish(err)
+        }
+
+        syncLock.release(function (releaseErr) {
+            return finish(err || releaseErr)
+        })
+    })
+
+    function finish (err) {
+        report.finishedAt = new Date()
+        report.duration = report.finishedAt - report.startedAt
+
         if (err) {
-            return cb(err)
+            err.syncReport = report
+
+            if (emitter.listeners('error').length || !cb) {
+                emitter.emit('error', err)
+            }
+
+            return cb && cb(err)
         }
 
-        return cb(null, docsToIndex)
+        emitter.emit('done', report)
+
+        return cb && cb(null, docsToIndex, report)
+    }
+
+    return emitter
+}
+
+/**
+ * Get the index versions to retain for rollbacks when a new version is made live: the `keepVersions` most recently live
+ * ones. Indices that were never live (eg. left by a failed sync or a dry run), or were rolled back from, are not retained.
+ *
+ * @param  {Array}      history         recorded live versions, oldest first (see `checkpoint.loadLiveHistory()`)
+ * @param  {Object}     aliasesBody     indices and their aliases (see `getAliases()`)
+ * @param  {String}     aliasName
+ * @param  {Array}      oldIndices      versioned indices other than the new one
+ * @param  {Number}     keepVersions
+ * @return {Array}      oldest first
+ * @api private
+ */
+function getRetainedVersions (history, aliasesBody, aliasName, oldIndices, keepVersions) {
+    var retained = history.filter(function (indexName) {
+        return oldIndices.indexOf(indexName) !== -1
+    })
+
+    // the index currently behind the alias is the most recently live one, even if it wasn't recorded
+    oldIndices.filter(function (indexName) {
+        var aliases = aliasesBody[indexName].aliases
+
+        return aliases && aliases[aliasName]
+    }).sort(function (a, b) {
+        return helpers.getIndexVersion(a) - helpers.getIndexVersion(b)
+    }).forEach(function (indexName) {
+        retained = retained.filter(function (retainedName) {
+            return retainedName !== indexName
+        })
+
+        retained.push(indexName)
     })
+
+    return keepVersions ? retained.slice(-keepVersions) : []
 }
 
 /**
- * Run a bulk index request using `commandSequence`, then pass control to `callback`.
+ * Create the report for a single sync run into `indexName`.
  *
- * @param  {Array}      commandSequence array of elasticsearch indexing commands
- * @param  {Function}   callback        completion callback. Signature: function (err)
+ * @param  {String} indexName
+ * @param  {String} aliasName
+ * @return {Object}
  * @api private
  */
-exports.bulkIndexRequest = function (indexName, commandSequence, options, callback) {
-    if (!commandSequence.length) {
-        return callback()
+function createReport (indexName, aliasName) {
+    return {
+        indexName: indexName,
+        alias: aliasName,
+        resumed: false,
+        // true if the sync didn't run because another sync of the collection held the lock
+        skipped: false,
+        // true if the sync stopped before making the new index live
+        dryRun: false,
+        // result of comparing the new index to the collection (with `verify`): { expected, indexed, countMismatch, sampled, sampleMismatches, passed }
+        verification: null,
+        // number of documents in the collection
+        total: 0,
+        indexed: 0,
+        // documents skipped because they could not be indexed (eg. no `_id`), or failed the index filter's `test`
+        excluded: 0,
+        // documents removed from the index because they no longer pass the index filter (by `.syncSince()`)
+        unindexed: 0,
+        failed: 0,
+        // documents elasticsearch rejected: { _id, status, reason, batch }
+        failures: [],
+        // one entry per bulk request: { batch, docs, unindexed, failed, duration }
+        batches: [],
+        startedAt: new Date(),
+        finishedAt: null,
+        duration: null
     }
+}
 
-    // finalize request body as newline-separated JSON docs
-    var body = commandSequence.map(JSON.stringify).join('\n')+'\n'
+/**
+ * Index the documents changed since `sinceOpts.since` into the live index, without creating a new index version.
+ * Use this to catch up after post-save hooks were missed (eg. while elasticsearch was down).
+ *
+ * Changed documents are found using `sinceOpts.field` (eg. `updatedAt`) if specified. Otherwise the creation time
+ * embedded in their ObjectId `_id` is used, so only inserted documents are picked up. Changed documents that no longer
+ * pass the index filter are removed from the index.
+ *
+ * Documents are processed in `sinceOpts.field` (then `_id`) order, and the position reached is checkpointed in MongoDB
+ * after every bulk request. With `sinceOpts.resume`, an interrupted run with the same `since` and `field` continues from there.
+ *
+ * @param  {Mongoose model}     model
+ * @param  {Object}             options
+ * @param  {Object}             sinceOpts   Keys: since (Date or timestamp), field (optional), maxFailures (optional), resume (optional)
+ * @param  {Function}           cb          Signature: function (err, numIndexed, report)
+ */
+exports.syncSince = function (model, options, sinceOpts, cb) {
+    if (!sinceOpts || !sinceOpts.since) {
+        return cb(new Error('`since` must be specified to sync documents changed since a point in time'))
+    }
 
-    var bulkIndexUri = helpers.makeBulkIndexUri(indexName, options)
+    var since = new Date(sinceOpts.since)
 
-    var reqOpts = {
-        method: 'POST',
-        url: bulkIndexUri,
-        body: body
+    if (isNaN(since.getTime())) {
+        return cb(new Error('`since` is not a valid date. Got:'+util.inspect(sinceOpts.since, true, 10, true)))
     }
 
-    if(options.auth) {
-        reqOpts.auth = {
-            user: options.auth.user,
-            pass: options.auth.password,
-            sendImmediately: false
-        };
+    var field = sinceOpts.field || null
+
+    var sinceQuery = {}
+
+    if (field) {
+        sinceQuery[field] = { $gte: since }
+    } else {
+        sinceQuery._id = { $gte: mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000)) }
+    }
+
+    var sort = {}
+
+    if (field) {
+        sort[field] = 1
     }
 
+    sort._id = 1
 
-    // console.log('bulk index reqOpts', util.inspect(reqOpts, true, 10, true))
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    var report = createReport(aliasName, aliasName)
+
+    var indexFilter = helpers.getIndexFilter(model.schema, options)
+
+    // position of an interrupted run that is being resumed
+    var resumeFrom = null
+
+    async.series({
+        loadCheckpoint: function (next) {
+            if (!sinceOpts.resume) {
+                return next()
+            }
+
+            checkpoint.loadSincePosition(model, aliasName, options, function (err, position) {
+                if (err) {
+                    return next(err)
+                }
+
+                // only resume a run over the same changes
+                if (position && position.since.getTime() === since.getTime() && position.field === field) {
+                    resumeFrom = position
+                    report.resumed = true
+                }
+
+                return next()
+            })
+        },
+        // index the changed documents that pass the index filter (the ones failing its `test` are unindexed)
+        indexChanged: function (next) {
+            if (resumeFrom && resumeFrom.phase === 'unindex') {
+                return next()
+            }
+
+            var query = helpers.applyIndexFilterQuery(positionQuery(sinceQuery, field, resumeFrom), indexFilter)
+
+            var run = {
+                report: report,
+                maxFailures: sinceOpts.maxFailures,
+                indexFilter: indexFilter,
+                unindexExcluded: true,
+                afterBatch: makeAfterBatch('index')
+            }
+
+            bulkIndexStream(model.find(query).sort(sort).stream(), aliasName, options, run, next)
+        },
+        // unindex the changed documents that no longer match the index filter's `query`
+        unindexChanged: function (next) {
+            if (!indexFilter || !indexFilter.query || !Object.keys(indexFilter.query).length) {
+                return next()
+            }
+
+            var resumePosition = resumeFrom && resumeFrom.phase === 'unindex' ? resumeFrom : null
+
+            var query = { $and: [ positionQuery(sinceQuery, field, resumePosition), { $nor: [ indexFilter.query ] } ] }
+
+            var run = {
+                report: report,
+                maxFailures: sinceOpts.maxFailures,
+                unindex: true,
+                afterBatch: makeAfterBatch('unindex')
+            }
+
+            // the deletes are sent with the external version, if any
+            var select = [ '_id', field, options.externalVersion ].filter(function (path, i, paths) {
+                return path && paths.indexOf(path) === i
+            }).join(' ')
+
+            var docStream = model.find(query).select(select).sort(sort).stream()
+
+            bulkIndexStream(docStream, aliasName, options, run, next)
+        },
+        // the run is complete - nothing left to resume
+        removeCheckpoint: function (next) {
+            checkpoint.removeSincePosition(model, aliasName, options, next)
+        }
+    }, function (err) {
+        report.finishedAt = new Date()
+        report.duration = report.finishedAt - report.startedAt
 
-    helpers.backOffRequest(reqOpts, function (err, res, body) {
         if (err) {
-            return callback(err)
+            err.syncReport = report
+            return cb(err)
         }
 
-        // console.log("response to bulk index request");
-        // console.log(res.body);
+        return cb(null, report.indexed, report)
+    })
 
+    // checkpoint the position reached after each batch of `phase`
+    function makeAfterBatch (phase) {
+        return function (batch, lastDoc, batchNext) {
+            var position = {
+                since: since,
+                field: field,
+                phase: phase,
+                lastValue: field ? lastDoc.get(field) : null,
+                lastId: lastDoc._id
+            }
 
-        if (body.error) {
-            var error = new Error('Elasticsearch sent an error reply back after bulk indexing.')
-            error.elasticsearchReply = body
-            error.commandSequence = commandSequence
-            error.indexName = indexName
-            return callback(error)
+            checkpoint.saveSincePosition(model, aliasName, position, options, batchNext)
         }
+    }
+}
 
-        return callback(null)
-    })
+/**
+ * Restrict `sinceQuery` to the documents after `position` in `field`, then `_id` order.
+ *
+ * @param  {Object}     sinceQuery
+ * @param  {String}     field       null if documents are ordered by `_id` only
+ * @param  {Object}     position    (optional) Keys: lastValue, lastId
+ * @return {Object}
+ * @api private
+ */
+function positionQuery (sinceQuery, field, position) {
+    if (!position) {
+        return sinceQuery
+    }
+
+    if (!field) {
+        return { $and: [ sinceQuery, { _id: { $gt: position.lastId } } ] }
+    }
+
+    var afterValue = {}
+    afterValue[field] = { $gt: position.lastValue }
+
+    var sameValue = { _id: { $gt: position.lastId } }
+    sameValue[field] = position.lastValue
+
+    return { $and: [ sinceQuery, { $or: [ afterValue, sameValue ] } ] }
+}
+
+/**
+ * Point the collection's alias back at the index version that was live before the live one, if it was retained
+ * (see `options.keepVersions`). The index rolled back from is closed and kept for inspection, but is never rolled back
+ * to again - the next `.sync()` deletes it.
+ *
+ * The rollback holds the sync lock, so it fails with an error having `code` 'ELOCKED' while a `.sync()` is running.
+ *
+ * @param  {Mongoose model} model
+ * @param  {Object}         options
+ * @param  {Function}       cb          Signature: function (err, rolledBackToIndexName)
+ */
+exports.rollbackIndex = function (model, options, cb) {
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+
+    var liveIndexName = null
+
+    var previousIndexName = null
+
+    // live versions that can still be rolled back to, once rolled back - oldest first
+    var remainingHistory = null
+
+    var rollbackLock = null
+
+    async.series({
+        // a sync swapping the alias at the same time could leave it behind two indices, or delete the rolled back version
+        acquireLock: function (next) {
+            var lockOpts = {
+                collection: options.lockCollection,
+                ttl: options.lockTtl
+            }
+
+            lock.acquire(model, aliasName, lockOpts, function (err, acquiredLock) {
+                rollbackLock = acquiredLock
+
+                return next(err)
+            })
+        },
+        findPreviousVersion: function (next) {
+            getAliases(options, function (err, body) {
+                if (err) {
+                    return next(err)
+                }
+
+                // versioned indices for this collection currently behind the alias - oldest first
+                var liveVersions = Object.keys(body).filter(function (indexName) {
+                    var aliases = body[indexName].aliases
+
+                    return helpers.isVersionedIndexName(indexName, options) && aliases && aliases[aliasName]
+                }).sort(function (a, b) {
+                    return helpers.getIndexVersion(a) - helpers.getIndexVersion(b)
+                })
+
+                if (!liveVersions.length) {
+                    return next(new Error('Cannot roll back alias `'+aliasName+'`: it does not point to a versioned index. Run `Model.sync()` first.'))
+                }
+
+                liveIndexName = liveVersions[liveVersions.length - 1]
+
+                checkpoint.loadLiveHistory(model, aliasName, options, function (err, history) {
+                    if (err) {
+                        return next(err)
+                    }
+
+                    // only versions that were live before the live one, and still exist
+                    remainingHistory = history.filter(function (indexName) {
+                        return indexName !== liveIndexName && body[indexName]
+                    })
+
+                    if (!remainingHistory.length) {
+                        return next(new Error('Cannot roll back alias `'+aliasName+'`: no index version that was live before `'+liveIndexName+'` was retained. See the `keepVersions` option.'))
+                    }
+
+                    previousIndexName = remainingHistory[remainingHistory.length - 1]
+
+                    return next()
+                })
+            })
+        },
+        openPreviousVersion: function (next) {
+            return openIndex(previousIndexName, options, next)
+        },
+        waitForPreviousVersion: function (next) {
+            waitForIndexHealth(previousIndexName, options, next)
+        },
+        swapAlias: function (next) {
+            var actions = [
+                { remove: { alias: aliasName, index: liveIndexName } },
+                { add: { alias: aliasName, index: previousIndexName } }
+            ]
+
+            return updateAliases(actions, options, next)
+        },
+        // the version rolled back from is dropped from the history, so it's never rolled back to
+        saveLiveHistory: function (next) {
+            checkpoint.saveLiveHistory(model, aliasName, remainingHistory, options, next)
+        },
+        closeRolledBackVersion: function (next) {
+            return closeIndex(liveIndexName, options, next)
+        }
+    }, function (err) {
+        if (!rollbackLock) {
+            return cb(err)
+        }
+
+        rollbackLock.release(function (releaseErr) {
+            err = err || releaseErr
+
+            if (err) {
+                return cb(err)
+            }
+
+            return cb(null, previousIndexName)
+        })
+    })
+}
+
+/**
+ * Bulk index the documents from `docStream` into `indexName`.
+ *
+ * Documents are batched by `options.batchSize` (docs) and `options.maxBatchBytes`, and up to `options.concurrency`
+ * bulk requests are kept in flight - `docStream` is paused while that many are pending.
+ * `run.afterBatch` is called in batch order, once all previous batches have completed.
+ *
+ * @param  {Stream}     docStream   mongoose query stream
+ * @param  {String}     indexName   index (or alias) to index the documents into
+ * @param  {Object}     options
+ * @param  {Object}     run         Keys:
+ *                                   - report       report of the sync run (see `createReport()`), updated as documents are indexed
+ *                                   - maxFailures  abort once more than this many documents failed to index (optional)
+ *                                   - indexFilter  documents failing `indexFilter.test` are excluded (optional, see `helpers.getIndexFilter()`)
+ *                                   - unindexExcluded  remove documents failing `indexFilter.test` from the index, rather than skip them (optional)
+ *                                   - unindex      remove every document from the index, rather than index them (optional)
+ *                                   - afterBatch   called after each bulk request. Signature: function (batch, lastDoc, cb)
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function bulkIndexStream (docStream, indexName, options, run, cb) {
+    var report = run.report
+
+    var batchSize = options.batchSize || BATCH_SIZE
+    var maxBatchBytes = options.maxBatchBytes || MAX_BATCH_BYTES
+    var concurrency = options.concurrency || CONCURRENCY
+
+    // elasticsearch commands to perform batch-indexing
+    var commandSequence = [];
+
+    // approximate size of `commandSequence` as a request body
+    var commandBytes = 0
+
+    // last doc added to `commandSequence`
+    var lastDoc = null
+
+    // number of docs indexed and unindexed by `commandSequence`
+    var batchDocs = 0
+    var batchUnindexed = 0
+
+    // number of bulk requests pending
+    var inFlight = 0
+
+    // number of batches dispatched so far
+    var numBatches = 0
+
+    // completed batches waiting for `afterBatch`, keyed by batch number
+    var completedBatches = {}
+
+    // number of the next batch to pass to `afterBatch`
+    var nextBatch = 1
+
+    var runningAfterBatch = false
+
+    var paused = false
+
+    // whether the stream is held back while a document is enriched
+    var enriching = false
+
+    var streamClosed = false
+
+    var finished = false
+
+    function finish (err) {
+        if (finished) {
+            return
+        }
+
+        finished = true
+
+        if (err) {
+            docStream.destroy()
+        }
+
+        return cb(err)
+    }
+
+    // pass completed batches to `afterBatch` in order, then resume streaming or finish up
+    function processCompletedBatches () {
+        if (finished || runningAfterBatch) {
+            return
+        }
+
+        var completed = completedBatches[nextBatch]
+
+        if (completed) {
+            runningAfterBatch = true
+
+            return run.afterBatch(completed.batch, completed.lastDoc, function (err) {
+                runningAfterBatch = false
+
+                if (err) {
+                    return finish(err)
+                }
+
+                delete completedBatches[nextBatch]
+                nextBatch++
+
+                return processCompletedBatches()
+            })
+        }
+
+        if (streamClosed) {
+            if (!inFlight) {
+                return finish()
+            }
+
+            return
+        }
+
+        if (paused && !enriching && inFlight < concurrency) {
+            // keep streaming now that we're ready to accept more
+            paused = false
+            docStream.resume()
+        }
+    }
+
+    // send `commandSequence` as a bulk request
+    function flush () {
+        var batchCommands = commandSequence
+        var batchLastDoc = lastDoc
+
+        var batch = {
+            batch: ++numBatches,
+            docs: batchDocs,
+            unindexed: batchUnindexed,
+            failed: 0,
+            duration: null
+        }
+
+        // empty our commandSequence
+        commandSequence = []
+        commandBytes = 0
+        batchDocs = 0
+        batchUnindexed = 0
+
+        var batchStart = Date.now()
+
+        inFlight++
+
+        if (inFlight >= concurrency && !paused) {
+            // pause the stream of incoming docs until a bulk request completes
+            paused = true
+            docStream.pause()
+        }
+
+        exports.bulkIndexRequest(indexName, batchCommands, options, function (err, failures) {
+            inFlight--
+
+            if (err) {
+                return finish(err)
+            }
+
+            batch.duration = Date.now() - batchStart
+            batch.failed = failures.length
+
+            failures.forEach(function (failure) {
+                failure.batch = batch.batch
+                report.failures.push(failure)
+            })
+
+            report.batches.push(batch)
+            report.indexed += batch.docs - batch.failed
+            report.unindexed += batch.unindexed
+            report.failed += batch.failed
+
+            if (typeof run.maxFailures === 'number' && report.failed > run.maxFailures) {
+                var error = new Error('Aborting sync: '+report.failed+' documents failed to index, more than `maxFailures` ('+run.maxFailures+'). First failure: '+util.inspect(report.failures[0], true, 10, true))
+                error.failures = report.failures
+                error.indexName = indexName
+                return finish(error)
+            }
+
+            completedBatches[batch.batch] = { batch: batch, lastDoc: batchLastDoc }
+
+            return processCompletedBatches()
+        })
+    }
+
+    docStream.on('data', function (doc) {
+        if (finished) {
+            return
+        }
+
+        if (!doc || !doc._id) {
+            report.excluded++;
+            return
+        }
+
+        if (run.unindex) {
+            return addToBatch(doc, helpers.makeDeleteCommand(indexName, doc, options))
+        }
+
+        if (run.indexFilter && run.indexFilter.test && !run.indexFilter.test(doc)) {
+            if (run.unindexExcluded) {
+                return addToBatch(doc, helpers.makeDeleteCommand(indexName, doc, options))
+            }
+
+            report.excluded++;
+            return
+        }
+
+        var command = helpers.makeIndexCommand(indexName, doc, options)
+
+        // get rid of mongoose-added functions
+        var serialized = helpers.serializeModel(doc,options)
+
+        if (!helpers.isEnriched(options)) {
+            return addToBatch(doc, command, serialized)
+        }
+
+        // hold the stream back while the document is populated and transformed, to keep documents in order
+        enriching = true
+        docStream.pause()
+
+        helpers.enrichSerialized(doc, serialized, options, function (err, enriched) {
+            enriching = false
+
+            if (err) {
+                return finish(err)
+            }
+
+            addToBatch(doc, command, enriched)
+
+            if (paused) {
+                // resumes once bulk requests in flight complete
+                return processCompletedBatches()
+            }
+
+            docStream.resume()
+        })
+    })
+
+    // append the `command` for `doc` (and the `serialized` doc to index, except for deletes) to `commandSequence`,
+    // and send it when the batch is full
+    function addToBatch (doc, command, serialized) {
+        if (finished) {
+            return
+        }
+
+        var docBytes = Buffer.byteLength(JSON.stringify(command)) + 1
+
+        if (serialized) {
+            docBytes += Buffer.byteLength(JSON.stringify(serialized)) + 1
+        }
+
+        // start a new batch if this doc would push the current one over `maxBatchBytes`
+        if (commandSequence.length && commandBytes + docBytes > maxBatchBytes) {
+            flush()
+        }
+
+        lastDoc = doc
+
+        // append elasticsearch command and JSON-ified doc to command
+        commandSequence.push(command)
+        commandBytes += docBytes
+
+        if (serialized) {
+            commandSequence.push(serialized)
+            batchDocs++
+        } else {
+            batchUnindexed++
+        }
+
+        if (batchDocs + batchUnindexed >= batchSize) {
+            flush()
+        }
+    }
+
+    docStream.on('error', finish)
+
+    docStream.on('close', function () {
+        streamClosed = true
+
+        // take care of the rest of the docs left in the buffer
+        if (!finished && commandSequence.length) {
+            flush()
+        }
+
+        processCompletedBatches()
+    })
+}
+
+/**
+ * Send `reqOpts` to elasticsearch, failing with `errorMessage` unless elasticsearch replies with success.
+ *
+ * @param  {Object}     reqOpts
+ * @param  {Object}     options
+ * @param  {String}     errorMessage
+ * @param  {Function}   cb          Signature: function (err, body)
+ * @api private
+ */
+function acknowledgedRequest (reqOpts, options, errorMessage, cb) {
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    helpers.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        if (!helpers.elasticsearchBodyOk(body)) {
+            var error = new Error(errorMessage+' Elasticsearch reply:'+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+            error.reqOpts = reqOpts
+            return cb(error)
+        }
+
+        return cb(null, body)
+    })
+}
+
+/**
+ * Wait until the cluster health of the index named `indexName` reaches `options.waitForStatus` (`yellow` by default).
+ *
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function waitForIndexHealth (indexName, options, cb) {
+    var waitForStatus = options.waitForStatus || 'yellow'
+
+    var reqOpts = {
+        method: 'GET',
+        url: helpers.makeDomainUri(options) + '/_cluster/health/' + indexName + '?wait_for_status=' + waitForStatus + '&timeout=60s'
+    }
+
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    helpers.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        if (body.timed_out || !body.status || body.status === 'red') {
+            var error = new Error('Index '+indexName+' did not reach `'+waitForStatus+'` health status. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+            return cb(error)
+        }
+
+        return cb()
+    })
+}
+
+/**
+ * Get all indices from elasticsearch along with their aliases.
+ *
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err, body). `body` has the form { indexName: { aliases: { aliasName: {} } } }
+ * @api private
+ */
+function getAliases (options, cb) {
+    var reqOpts = {
+        method: 'GET',
+        url: helpers.makeAliasUri(options)
+    }
+
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    helpers.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        if (!body || typeof body !== 'object' || body.error) {
+            var error = new Error('Unexpected alias listing reply. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+            error.elasticsearchReply = body
+            return cb(error)
+        }
+
+        return cb(null, body)
+    })
+}
+
+/**
+ * Delete the concrete index named `aliasName`, then apply the alias `actions` that add the alias in its place.
+ *
+ * A document saved between the two requests makes elasticsearch auto-create the index again, and the alias update fails.
+ * If the index is found again, it's deleted and the alias update retried, up to `attempts` times.
+ *
+ * @param  {String}     aliasName
+ * @param  {Array}      actions
+ * @param  {Object}     options
+ * @param  {Number}     attempts
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function replaceConcreteIndex (aliasName, actions, options, attempts, cb) {
+    deleteIndex(aliasName, options, function (err) {
+        if (err) {
+            return cb(err)
+        }
+
+        updateAliases(actions, options, function (updateErr) {
+            if (!updateErr || attempts <= 1) {
+                return cb(updateErr)
+            }
+
+            getAliases(options, function (err, body) {
+                if (err || !body[aliasName]) {
+                    return cb(updateErr)
+                }
+
+                // a write re-created the index in between
+                return replaceConcreteIndex(aliasName, actions, options, attempts - 1, cb)
+            })
+        })
+    })
+}
+
+/**
+ * Atomically apply alias `actions` (eg. [ { add: { alias: 'cats', index: 'cats-1380000000000' } } ]).
+ *
+ * @param  {Array}      actions
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function updateAliases (actions, options, cb) {
+    var reqOpts = {
+        method: 'POST',
+        url: helpers.makeAliasUri(options),
+        body: JSON.stringify({ actions: actions })
+    }
+
+    acknowledgedRequest(reqOpts, options, 'Alias update error for actions '+JSON.stringify(actions)+'.', function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Delete the index named `indexName` from elasticsearch.
+ *
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function deleteIndex (indexName, options, cb) {
+    var reqOpts = {
+        method: 'DELETE',
+        url: helpers.makeDomainUri(options) + '/' + indexName
+    }
+
+    // console.log('\nindex deletion reqOpts', reqOpts)
+
+    acknowledgedRequest(reqOpts, options, 'Index deletion error for index '+indexName+'.', function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Close the index named `indexName`, keeping its data on disk.
+ *
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function closeIndex (indexName, options, cb) {
+    var reqOpts = {
+        method: 'POST',
+        url: helpers.makeDomainUri(options) + '/' + indexName + '/_close'
+    }
+
+    acknowledgedRequest(reqOpts, options, 'Index close error for index '+indexName+'.', function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Re-open the closed index named `indexName`.
+ *
+ * @param  {String}     indexName
+ * @param  {Object}     options
+ * @param  {Function}   cb          Signature: function (err)
+ * @api private
+ */
+function openIndex (indexName, options, cb) {
+    var reqOpts = {
+        method: 'POST',
+        url: helpers.makeDomainUri(options) + '/' + indexName + '/_open'
+    }
+
+    acknowledgedRequest(reqOpts, options, 'Index open error for index '+indexName+'.', function (err) {
+        return cb(err)
+    })
+}
+
+/**
+ * Read the documents with `ids` back from `model`'s collection and bulk index them into `indexName`, in batches of
+ * `options.batchSize`. `ids` that are no longer in the collection, or no longer pass the index filter, are deleted from the index.
+ *
+ * @param  {Mongoose model}     model
+ * @param  {String}             indexName
+ * @param  {Array}              ids
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, result). `result` has the form { indexed, deleted, failures }
+ */
+exports.reindexIds = function (model, indexName, ids, options, cb) {
+    var batchSize = options.batchSize || BATCH_SIZE
+    var indexFilter = helpers.getIndexFilter(model.schema, options)
+
+    var result = {
+        indexed: 0,
+        deleted: 0,
+        failures: []
+    }
+
+    var batches = []
+
+    for (var i = 0; i < ids.length; i += batchSize) {
+        batches.push(ids.slice(i, i + batchSize))
+    }
+
+    async.eachSeries(batches, function (batchIds, next) {
+        var query = helpers.applyIndexFilterQuery({ _id: { $in: batchIds } }, indexFilter)
+
+        model.find(query).exec(function (err, docs) {
+            if (err) {
+                return next(err)
+            }
+
+            var found = {}
+            var commandSequence = []
+
+            docs = docs.filter(function (doc) {
+                return !(indexFilter && indexFilter.test && !indexFilter.test(doc))
+            })
+
+            async.eachSeries(docs, function (doc, eachNext) {
+                helpers.serializeDocument(doc, options, function (err, serialized) {
+                    if (err) {
+                        return eachNext(err)
+                    }
+
+                    found[doc.id] = true
+
+                    commandSequence.push(helpers.makeIndexCommand(indexName, doc, options))
+                    commandSequence.push(serialized)
+
+                    return eachNext()
+                })
+            }, function (err) {
+                if (err) {
+                    return next(err)
+                }
+
+                var deletedIds = batchIds.map(String).filter(function (id) { return !found[id] })
+
+                deletedIds.forEach(function (id) {
+                    commandSequence.push({ delete: { _index: indexName, _type: options.type, _id: id } })
+                })
+
+                exports.bulkIndexRequest(indexName, commandSequence, options, function (err, failures) {
+                    if (err) {
+                        return next(err)
+                    }
+
+                    result.indexed += Object.keys(found).length
+                    result.deleted += deletedIds.length
+                    result.failures = result.failures.concat(failures)
+
+                    return next()
+                })
+            })
+        })
+    }, function (err) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, result)
+    })
+}
+
+/**
+ * Run a bulk index request using `commandSequence`, then pass control to `callback`.
+ *
+ * Elasticsearch reports failures per item in the bulk reply. Items rejected because elasticsearch is overloaded
+ * (429/503) are retried with a linear back off, version conflicts (409) of items sent with an external version are ignored,
+ * other failed items are passed
+ * to `callback` as `failures`.
+ *
+ * @param  {String}     indexName
+ * @param  {Array}      commandSequence array of elasticsearch indexing commands
+ * @param  {Object}     options
+ * @param  {Function}   callback        completion callback. Signature: function (err, failures). Each failure has the form { _id, status, reason }
+ * @api private
+ */
+exports.bulkIndexRequest = function (indexName, commandSequence, options, callback) {
+    var maxAttempts = 3
+    var backOffRate = 500
+
+    // group the command sequence into operations - a command line, followed by a source line (except for deletes)
+    var operations = []
+
+    for (var i = 0; i < commandSequence.length; i++) {
+        var operation = [ commandSequence[i] ]
+
+        if (!commandSequence[i].delete) {
+            operation.push(commandSequence[++i])
+        }
+
+        operations.push(operation)
+    }
+
+    var failures = []
+
+    function makeAttempt (attemptOperations, attempts) {
+        attempts++
+
+        if (!attemptOperations.length) {
+            return callback(null, failures)
+        }
+
+        // finalize request body as newline-separated JSON docs
+        var body = attemptOperations.map(function (operation) {
+            return operation.map(JSON.stringify).join('\n')
+        }).join('\n')+'\n'
+
+        var bulkIndexUri = helpers.makeBulkIndexUri(indexName, options)
+
+        var reqOpts = {
+            method: 'POST',
+            url: bulkIndexUri,
+            body: body
+        }
+
+        if(options.auth) {
+            reqOpts.auth = {
+                user: options.auth.user,
+                pass: options.auth.password,
+                sendImmediately: false
+            };
+        }
+
+
+        // console.log('bulk index reqOpts', util.inspect(reqOpts, true, 10, true))
+
+        helpers.backOffRequest(reqOpts, function (err, res, body) {
+            if (err) {
+                return callback(err)
+            }
+
+            // console.log("response to bulk index request");
+            // console.log(res.body);
+
+
+            if (body.error || (body.errors && !Array.isArray(body.items))) {
+                var error = new Error('Elasticsearch sent an error reply back after bulk indexing.')
+                error.elasticsearchReply = body
+                error.commandSequence = commandSequence
+                error.indexName = indexName
+                return callback(error)
+            }
+
+            if (!body.errors) {
+                return callback(null, failures)
+            }
+
+            var retryOperations = []
+
+            body.items.forEach(function (item, i) {
+                // each item is keyed by its action, eg. { index: { _id, status, error } }
+                var result = item[Object.keys(item)[0]]
+
+                if (!result.error) {
+                    return
+                }
+
+                // a versioned operation conflicts when a newer version of the document is indexed already
+                if (helpers.isIgnoredVersionConflict(attemptOperations[i][0][Object.keys(item)[0]], result.status)) {
+                    return
+                }
+
+                if ((result.status === 429 || result.status === 503) && attempts < maxAttempts) {
+                    retryOperations.push(attemptOperations[i])
+                    return
+                }
+
+                failures.push({
+                    _id: result._id,
+                    status: result.status,
+                    reason: typeof result.error === 'string' ? result.error : JSON.stringify(result.error)
+                })
+            })
+
+            if (!retryOperations.length) {
+                return callback(null, failures)
+            }
+
+            var waitTime = backOffRate*attempts+Math.random()*backOffRate
+
+            setTimeout(function () {
+                makeAttempt(retryOperations, attempts)
+            }, waitTime)
+        })
+    }
+
+    makeAttempt(operations, 0)
 }
@@ -0,0 +1,327 @@
+/*
+    Verify a newly populated index against the collection, before `Model.sync()` makes it live
+ */
+var async = require('async'),
+    util = require('util'),
+    mongoose = require('mongoose'),
+    helpers = require('./helpers')
+
+// default number of random documents to compare
+var SAMPLE_SIZE = 10
+
+// default fraction of mismatching documents tolerated (writes during the sync cause some)
+var THRESHOLD = 0.01
+
+/**
+ * Compare the index named `indexName` to `model`'s collection:
+ *  - the number of documents in the index to the number of documents passing the index filter. With an index filter
+ *    `test`, counting them reads every document matching the filter `query`.
+ *  - the indexed form of `verifyOpts.sampleSize` random documents to their current serialized form. Documents are
+ *    picked at random `_id`s between the lowest and highest one, so each sample is a single indexed lookup.
+ *
+ * Calls `cb` with an error having `code` 'EVERIFY' if either mismatch is above `verifyOpts.threshold` (a fraction).
+ *
+ * @param  {Mongoose model}     model
+ * @param  {String}             indexName
+ * @param  {Object}             options
+ * @param  {Object}             verifyOpts  Keys: sampleSize, threshold
+ * @param  {Function}           cb          Signature: function (err, verification)
+ */
+module.exports = function (model, indexName, options, verifyOpts, cb) {
+    var sampleSize = typeof verifyOpts.sampleSize === 'number' ? verifyOpts.sampleSize : SAMPLE_SIZE
+    var threshold = typeof verifyOpts.threshold === 'number' ? verifyOpts.threshold : THRESHOLD
+
+    var indexFilter = helpers.getIndexFilter(model.schema, options)
+    var filterQuery = helpers.applyIndexFilterQuery({}, indexFilter)
+
+    var verification = {
+        expected: null,
+        indexed: null,
+        countMismatch: null,
+        sampled: 0,
+        // `_id`s of sampled documents whose indexed form doesn't match
+        sampleMismatches: [],
+        passed: false
+    }
+
+    var collectionCount = null
+
+    // lowest and highest `_id` of the documents passing the filter query, to sample between
+    var minId = null
+    var maxId = null
+
+    async.series({
+        countCollection: function (next) {
+            model.count(filterQuery).exec(function (err, count) {
+                if (err) {
+                    return next(err)
+                }
+
+                collectionCount = count
+
+                return next()
+            })
+        },
+        // documents failing the index filter's `test` are not expected in the index
+        countExpected: function (next) {
+            if (!indexFilter || !indexFilter.test || !collectionCount) {
+                verification.expected = collectionCount
+                return next()
+            }
+
+            var passing = 0
+
+            var docStream = model.find(filterQuery).stream()
+
+            docStream.on('data', function (doc) {
+                if (indexFilter.test(doc)) {
+                    passing++
+                }
+            })
+
+            docStream.on('error', next)
+
+            docStream.on('close', function () {
+                verification.expected = passing
+
+                return next()
+            })
+        },
+        countIndex: function (next) {
+            var reqOpts = {
+                method: 'GET',
+                url: helpers.makeDomainUri(options) + '/' + indexName + '/_count'
+            }
+
+            if(options.auth) {
+                reqOpts.auth = {
+                    user: options.auth.user,
+                    pass: options.auth.password,
+                    sendImmediately: false
+                };
+            }
+
+            helpers.backOffRequest(reqOpts, function (err, res, body) {
+                if (err) {
+                    return next(err)
+                }
+
+                if (typeof body.count !== 'number') {
+                    var error = new Error('Unexpected count reply for index '+indexName+'. Elasticsearch reply:'+util.inspect(body, true, 10, true))
+                    error.elasticsearchReply = body
+                    return next(error)
+                }
+
+                verification.indexed = body.count
+                verification.countMismatch = Math.abs(body.count - verification.expected) / Math.max(verification.expected, 1)
+
+                return next()
+            })
+        },
+        findIdRange: function (next) {
+            if (!sampleSize || !collectionCount) {
+                return next()
+            }
+
+            async.series({
+                min: function (seriesNext) {
+                    model.findOne(filterQuery).select('_id').sort({ _id: 1 }).exec(seriesNext)
+                },
+                max: function (seriesNext) {
+                    model.findOne(filterQuery).select('_id').sort({ _id: -1 }).exec(seriesNext)
+                }
+            }, function (err, found) {
+                if (err) {
+                    return next(err)
+                }
+
+                minId = found.min && found.min._id
+                maxId = found.max && found.max._id
+
+                return next()
+            })
+        },
+        compareSample: function (next) {
+            if (minId === null || minId === undefined) {
+                return next()
+            }
+
+            var numSamples = Math.min(sampleSize, collectionCount)
+
+            var sampleFns = []
+
+            for (var i = 0; i < numSamples; i++) {
+                sampleFns.push(function (sampleNext) {
+                    findSample(model, indexFilter, randomIdBetween(minId, maxId), function (err, doc) {
+                        if (err) {
+                            return sampleNext(err)
+                        }
+
+                        // the collection shrank, or the doc is excluded from the index
+                        if (!doc || (indexFilter && indexFilter.test && !indexFilter.test(doc))) {
+                            return sampleNext()
+                        }
+
+                        compareDocument(doc, indexName, options, function (err, matches) {
+                            if (err) {
+                                return sampleNext(err)
+                            }
+
+                            verification.sampled++
+
+                            if (!matches) {
+                                verification.sampleMismatches.push(doc.id)
+                            }
+
+                            return sampleNext()
+                        })
+                    })
+                })
+            }
+
+            async.series(sampleFns, function (err) {
+                return next(err)
+            })
+        }
+    }, function (err) {
+        if (err) {
+            return cb(err)
+        }
+
+        var sampleMismatch = verification.sampled ? verification.sampleMismatches.length / verification.sampled : 0
+
+        verification.passed = verification.countMismatch <= threshold && sampleMismatch <= threshold
+
+        if (!verification.passed) {
+            var error = new Error('Index '+indexName+' failed verification: '+util.inspect(verification, true, 10, true))
+            error.code = 'EVERIFY'
+            error.verification = verification
+            error.indexName = indexName
+            return cb(error, verification)
+        }
+
+        return cb(null, verification)
+    })
+}
+
+/**
+ * Find the first document matching the query of `indexFilter` from `id` on in `_id` order, or the last one before it.
+ *
+ * @param  {Mongoose model}     model
+ * @param  {Object}             indexFilter     see `helpers.getIndexFilter()`
+ * @param  {Mixed}              id
+ * @param  {Function}           cb          Signature: function (err, doc)
+ * @api private
+ */
+function findSample (model, indexFilter, id, cb) {
+    var query = helpers.applyIndexFilterQuery({ _id: { $gte: id } }, indexFilter)
+
+    model.findOne(query).sort({ _id: 1 }).exec(function (err, doc) {
+        if (err || doc) {
+            return cb(err, doc)
+        }
+
+        query = helpers.applyIndexFilterQuery({ _id: { $lt: id } }, indexFilter)
+
+        return model.findOne(query).sort({ _id: -1 }).exec(cb)
+    })
+}
+
+/**
+ * Pick a random `_id` between `min` and `max`. ObjectIds are picked by their creation time, numbers, dates and
+ * strings by value. Other `_id` types can't be interpolated - `min` is returned.
+ *
+ * @param  {Mixed}  min
+ * @param  {Mixed}  max
+ * @return {Mixed}
+ * @api private
+ */
+function randomIdBetween (min, max) {
+    if (min instanceof mongoose.Types.ObjectId) {
+        var minTime = parseInt(min.toHexString().slice(0, 8), 16)
+        var maxTime = parseInt(max.toHexString().slice(0, 8), 16)
+
+        var time = Math.floor(minTime + Math.random() * (maxTime - minTime + 1))
+
+        var hex = ('0000000' + time.toString(16)).slice(-8)
+
+        while (hex.length < 24) {
+            hex += Math.floor(Math.random() * 16).toString(16)
+        }
+
+        return new mongoose.Types.ObjectId(hex)
+    }
+
+    if (typeof min === 'number') {
+        return min + Math.random() * (max - min)
+    }
+
+    if (min instanceof Date) {
+        return new Date(min.getTime() + Math.random() * (max.getTime() - min.getTime()))
+    }
+
+    if (typeof min === 'string') {
+        // keep the common prefix, then pick a character between the first differing ones
+        var prefixLength = 0
+
+        while (prefixLength < min.length && min[prefixLength] === max[prefixLength]) {
+            prefixLength++
+        }
+
+        if (prefixLength >= max.length) {
+            return min
+        }
+
+        var minCode = prefixLength < min.length ? min.charCodeAt(prefixLength) : 0
+        var maxCode = max.charCodeAt(prefixLength)
+
+        return min.slice(0, prefixLength) + String.fromCharCode(Math.floor(minCode + Math.random() * (maxCode - minCode + 1)))
+    }
+
+    return min
+}
+
+/**
+ * Check whether the indexed form of `doc` in `indexName` matches its current serialized form.
+ *
+ * @param  {Mongoose document}  doc
+ * @param  {String}             indexName
+ * @param  {Object}             options
+ * @param  {Function}           cb          Signature: function (err, matches)
+ * @api private
+ */
+function compareDocument (doc, indexName, options, cb) {
+    var reqOpts = {
+        method: 'GET',
+        url: helpers.makeDomainUri(options) + '/' + indexName + '/' + options.type + '/' + doc._id
+    }
+
+    if(options.auth) {
+        reqOpts.auth = {
+            user: options.auth.user,
+            pass: options.auth.password,
+            sendImmediately: false
+        };
+    }
+
+    helpers.backOffRequest(reqOpts, function (err, res, body) {
+        if (err) {
+            return cb(err)
+        }
+
+        if (!body._source) {
+            return cb(null, false)
+        }
+
+        helpers.serializeDocument(doc, options, function (err, serialized) {
+            if (err) {
+                return cb(err)
+            }
+
+            // round-trip through JSON, the way the document was sent to elasticsearch
+            serialized = JSON.parse(JSON.stringify(serialized))
+
+            return cb(null, helpers.canonicalJSON(serialized) === helpers.canonicalJSON(body._source))
+        })
+    })
+}
@@ -0,0 +1,461 @@
+/*
+    Keep a collection's index in sync in real time, by tailing the MongoDB oplog
+ */
+var util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    mongoose = require('mongoose'),
+    helpers = require('./helpers'),
+    checkpoint = require('./checkpoint'),
+    sync = require('./sync')
+
+var Timestamp = mongoose.mongo.Timestamp
+
+// default maximum number of changed documents to index per bulk request
+var BATCH_SIZE = 500
+
+// default number of milliseconds to buffer changes for before indexing them
+var FLUSH_INTERVAL = 1000
+
+// default number of milliseconds to wait before re-opening the oplog cursor after it closes
+var RECONNECT_INTERVAL = 5000
+
+// default number of milliseconds between checkpoints of the oplog position while the collection has no changes
+var IDLE_CHECKPOINT_INTERVAL = 60*1000
+
+/**
+ * Tail the oplog for inserts, updates and deletes on `model`'s collection, and apply them to its live index.
+ * This picks up writes that bypass the mongoose middleware (other services, the mongo shell, the native driver).
+ * MongoDB must be running as a replica set for the oplog to exist.
+ *
+ * Changes are buffered for `watchOpts.flushInterval` ms (or until `watchOpts.batchSize` documents changed), then the
+ * changed documents are read back from the collection and indexed in one bulk request. Documents that were deleted, or
+ * no longer pass the index filter, are deleted from the index.
+ *
+ * After each bulk request the timestamp of the last oplog entry applied is saved as a checkpoint, and tailing restarts
+ * from it, so changes made while nothing was watching are not missed. With no checkpoint, tailing starts from now - run
+ * `Model.sync()` first to populate the index. While the collection has no changes, the newest oplog position is
+ * checkpointed every `watchOpts.checkpointInterval` ms, so that the checkpoint of a quiet collection keeps up with the oplog.
+ *
+ * If the position to restart from has already rolled off the oplog, the changes in between are lost. By default an
+ * error with `code` 'EOPLOGGAP' is emitted, and tailing continues from the oldest entry left. With `watchOpts.resync`,
+ * a full `Model.sync()` is run instead, and tailing continues from the oplog position it started at.
+ *
+ * Returns an EventEmitter, with a `stop(cb)` method to stop tailing (buffered changes are indexed first):
+ *  - `batch`   after each bulk request. Passes { indexed, deleted, failures, ts }
+ *  - `error`   when indexing a batch or tailing the oplog fails (logged if there are no listeners). Both are retried.
+ *  - `resync`  when a full `Model.sync()` was run because the oplog position rolled off. Passes the sync report.
+ *  - `stop`    once the watcher is stopped
+ *
+ * @param  {Mongoose model}     model
+ * @param  {Object}             options
+ * @param  {Object}             watchOpts   Keys: batchSize, flushInterval, reconnectInterval, checkpointInterval, resync
+ * @return {EventEmitter}
+ */
+module.exports = function (model, options, watchOpts) {
+    var watcher = new EventEmitter()
+
+    var aliasName = helpers.makeIndexName(options).toLowerCase()
+    var namespace = model.db.name + '.' + model.collection.name
+
+    var batchSize = watchOpts.batchSize || BATCH_SIZE
+    var flushInterval = watchOpts.flushInterval || FLUSH_INTERVAL
+    var reconnectInterval = watchOpts.reconnectInterval || RECONNECT_INTERVAL
+    var checkpointInterval = watchOpts.checkpointInterval || IDLE_CHECKPOINT_INTERVAL
+
+    // `_id`s of the documents changed since the last flush, keyed by their string form
+    var pending = {}
+    var pendingCount = 0
+
+    // timestamp of the last oplog entry buffered
+    var lastTs = null
+
+    // timestamp the oplog is currently tailed from
+    var tailTs = null
+
+    var oplogStream = null
+    var flushTimer = null
+    var reconnectTimer = null
+    var idleCheckpointTimer = null
+    var flushing = false
+    var flushWaiters = []
+    var stopped = false
+
+    function emitError (err) {
+        if (watcher.listeners('error').length) {
+            return watcher.emit('error', err)
+        }
+
+        console.log('error', err)
+    }
+
+    function scheduleFlush () {
+        if (flushTimer || stopped) {
+            return
+        }
+
+        flushTimer = setTimeout(function () {
+            flushTimer = null
+            flush(function (err) {
+                if (err) {
+                    emitError(err)
+                }
+            })
+        }, flushInterval)
+    }
+
+    /**
+     * Index the documents changed since the last flush, then checkpoint the oplog position.
+     * Only one flush runs at a time - callers arriving mid-flush get the next one.
+     */
+    function flush (cb) {
+        if (flushing) {
+            return flushWaiters.push(cb)
+        }
+
+        if (!pendingCount) {
+            return cb()
+        }
+
+        flushing = true
+
+        clearTimeout(flushTimer)
+        flushTimer = null
+
+        var batch = pending
+        var batchTs = lastTs
+
+        pending = {}
+        pendingCount = 0
+
+        var ids = Object.keys(batch).map(function (key) { return batch[key] })
+
+        sync.reindexIds(model, aliasName, ids, options, function (err, result) {
+            if (err) {
+                // put the batch back, to be retried on the next flush
+                Object.keys(batch).forEach(function (key) {
+                    if (!pending[key]) {
+                        pending[key] = batch[key]
+                        pendingCount++
+                    }
+                })
+
+                return finish(err)
+            }
+
+            checkpoint.saveOplogPosition(model, aliasName, batchTs, options, function (err) {
+                if (err) {
+                    return finish(err)
+                }
+
+                result.ts = batchTs
+                watcher.emit('batch', result)
+
+                return finish()
+            })
+        })
+
+        function finish (err) {
+            flushing = false
+
+            if (oplogStream && oplogStream.paused && !stopped) {
+                oplogStream.resume()
+            }
+
+            if (pendingCount) {
+                scheduleFlush()
+            }
+
+            cb(err)
+
+            if (flushWaiters.length) {
+                var waiters = flushWaiters
+                flushWaiters = []
+
+                flush(function (err) {
+                    waiters.forEach(function (waiter) { waiter(err) })
+                })
+            }
+        }
+    }
+
+    function onOplogEntry (entry) {
+        // only inserts, updates and deletes carry document changes
+        var id = null
+
+        if (entry.op === 'i' || entry.op === 'd') {
+            id = entry.o && entry.o._id
+        } else if (entry.op === 'u') {
+            id = entry.o2 && entry.o2._id
+        }
+
+        lastTs = entry.ts
+
+        if (id === null || id === undefined) {
+            return
+        }
+
+        if (!pending[String(id)]) {
+            pending[String(id)] = id
+            pendingCount++
+        }
+
+        if (pendingCount >= batchSize) {
+            // stop reading the oplog until the batch is indexed
+            oplogStream.pause()
+
+            return flush(function (err) {
+                if (err) {
+                    emitError(err)
+                }
+            })
+        }
+
+        scheduleFlush()
+    }
+
+    function scheduleIdleCheckpoint () {
+        if (idleCheckpointTimer || stopped) {
+            return
+        }
+
+        idleCheckpointTimer = setTimeout(function () {
+            idleCheckpointTimer = null
+            checkpointIdle()
+        }, checkpointInterval)
+    }
+
+    /**
+     * Checkpoint the newest oplog position while no change is buffered. The tail only sees this collection's entries,
+     * so without this the checkpoint of a quiet collection falls behind the oplog window, and a restart reports a gap
+     * though nothing was missed. The position is only saved once the oplog holds no entry for this collection that
+     * the tail has yet to deliver.
+     */
+    function checkpointIdle () {
+        var fromTs = lastTs || tailTs
+
+        if (flushing || pendingCount || !fromTs) {
+            return scheduleIdleCheckpoint()
+        }
+
+        var oplog = getOplog()
+
+        getOplogTs(oplog, -1, function (err, newestTs) {
+            if (err || !newestTs || !newestTs.greaterThan(fromTs)) {
+                return done(err)
+            }
+
+            oplog.find({ ns: namespace, ts: { $gt: fromTs, $lte: newestTs } }, { ts: 1 }).limit(1).toArray(function (err, entries) {
+                // changes arrived meanwhile - they're checkpointed once indexed
+                if (err || entries.length || flushing || pendingCount) {
+                    return done(err)
+                }
+
+                checkpoint.saveOplogPosition(model, aliasName, newestTs, options, function (err) {
+                    if (!err && !flushing && !pendingCount && (!lastTs || newestTs.greaterThan(lastTs))) {
+                        // reconnects pick up from here too
+                        lastTs = newestTs
+                    }
+
+                    return done(err)
+                })
+            })
+        })
+
+        function done (err) {
+            if (err) {
+                emitError(err)
+            }
+
+            scheduleIdleCheckpoint()
+        }
+    }
+
+    function getOplog () {
+        return model.db.db.db('local').collection('oplog.rs')
+    }
+
+    /**
+     * Resume tailing from `fromTs`, once it is checked to still be in the oplog. If it rolled off, report the gap,
+     * or run a full sync with `watchOpts.resync`.
+     */
+    function resume (fromTs) {
+        if (stopped) {
+            return
+        }
+
+        getOplogTs(getOplog(), 1, function (err, oldestTs) {
+            if (err) {
+                return retryLater(err, function () { resume(fromTs) })
+            }
+
+            // the oplog is empty, or still holds the entries after `fromTs`
+            if (!oldestTs || !oldestTs.greaterThan(fromTs)) {
+                return tail(fromTs)
+            }
+
+            if (!watchOpts.resync) {
+                var error = new Error('The oplog position to resume watching '+namespace+' from ('+fromTs.getHighBits()+') has rolled off the oplog, which starts at '+oldestTs.getHighBits()+'. Changes made in between were missed - run `Model.sync()`, or watch with `resync: true`.')
+                error.code = 'EOPLOGGAP'
+                error.ts = fromTs
+                error.oldestTs = oldestTs
+
+                emitError(error)
+
+                // everything left in the oplog is after `fromTs`
+                return tail(fromTs)
+            }
+
+            resync()
+        })
+    }
+
+    /**
+     * Reindex the whole collection, then tail the oplog from the position the sync started at.
+     */
+    function resync () {
+        getOplogTs(getOplog(), -1, function (err, newestTs) {
+            if (err) {
+                return retryLater(err, resync)
+            }
+
+            model.sync(function (err, numSynced, report) {
+                if (err) {
+                    return retryLater(err, resync)
+                }
+
+                var fromTs = newestTs || new Timestamp(0, Math.floor(report.startedAt.getTime() / 1000))
+
+                checkpoint.saveOplogPosition(model, aliasName, fromTs, options, function (err) {
+                    if (err) {
+                        return retryLater(err, resync)
+                    }
+
+                    watcher.emit('resync', report)
+
+                    return tail(fromTs)
+                })
+            })
+        })
+    }
+
+    function retryLater (err, fn) {
+        emitError(err)
+
+        reconnectTimer = setTimeout(function () {
+            reconnectTimer = null
+            fn()
+        }, reconnectInterval)
+    }
+
+    function tail (fromTs) {
+        if (stopped) {
+            return
+        }
+
+        var oplog = getOplog()
+
+        tailTs = fromTs
+
+        scheduleIdleCheckpoint()
+
+        var cursor = oplog.find({ ns: namespace, ts: { $gt: fromTs } }, {
+            tailable: true,
+            awaitdata: true,
+            timeout: false,
+            numberOfRetries: -1
+        })
+
+        oplogStream = cursor.stream()
+
+        oplogStream.on('data', onOplogEntry)
+
+        oplogStream.on('error', function (err) {
+            var error = new Error('Error tailing the oplog for '+namespace+': '+util.inspect(err, true, 10, true))
+            error.details = err
+
+            emitError(error)
+        })
+
+        oplogStream.on('close', function () {
+            oplogStream = null
+
+            if (stopped) {
+                return
+            }
+
+            // pick up after the last entry buffered (buffered changes are still pending)
+            reconnectTimer = setTimeout(function () {
+                reconnectTimer = null
+                resume(lastTs || fromTs)
+            }, reconnectInterval)
+        })
+    }
+
+    function start () {
+        checkpoint.loadOplogPosition(model, aliasName, options, function (err, ts) {
+            if (err) {
+                return retryLater(err, start)
+            }
+
+            // start from now if nothing was checkpointed
+            if (!ts) {
+                return tail(new Timestamp(0, Math.floor(Date.now() / 1000)))
+            }
+
+            return resume(ts)
+        })
+    }
+
+    /**
+     * Stop tailing the oplog, and index any buffered changes.
+     *
+     * @param  {Function} cb    Signature: function (err)
+     */
+    watcher.stop = function (cb) {
+        stopped = true
+
+        clearTimeout(reconnectTimer)
+        reconnectTimer = null
+
+        clearTimeout(idleCheckpointTimer)
+        idleCheckpointTimer = null
+
+        if (oplogStream) {
+            oplogStream.destroy()
+        }
+
+        flush(function (err) {
+            watcher.emit('stop')
+
+            if (cb) {
+                return cb(err)
+            }
+
+            if (err) {
+                emitError(err)
+            }
+        })
+    }
+
+    start()
+
+    return watcher
+}
+
+/**
+ * Get the timestamp of the oldest (`order` 1) or newest (`order` -1) entry in the oplog.
+ *
+ * @param  {Object}     oplog       the `local.oplog.rs` collection
+ * @param  {Number}     order
+ * @param  {Function}   cb          Signature: function (err, ts). `ts` is null if the oplog is empty.
+ * @api private
+ */
+function getOplogTs (oplog, order, cb) {
+    oplog.find({}, { ts: 1 }).sort({ $natural: order }).limit(1).toArray(function (err, entries) {
+        if (err) {
+            return cb(err)
+        }
+
+        return cb(null, entries.length ? entries[0].ts : null)
+    })
+}
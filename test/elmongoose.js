@@ -7,6 +7,7 @@ var mongoose = require('mongoose'),
 	util = require('util'),
 	elmongoose = require('../lib/elmongoose'),
 	helpers = require('../lib/helpers'),
+	retry = require('../lib/retry'),
 	testHelper = require('./testHelper')
 
 // connect to DB
@@ -394,6 +395,583 @@ describe('elmongoose plugin', function () {
 		}, done)
 	})
 
+	it('Model.update(), findByIdAndUpdate(), findOneAndRemove() and remove(query) should be reflected in Model.search()', function (done) {
+
+		var testCats = [
+			new models.Cat({ name: 'Bagheera', breed: 'bombay', age: 2 }),
+			new models.Cat({ name: 'Bagheera', breed: 'bombay', age: 3 }),
+			new models.Cat({ name: 'Shere', breed: 'bengal', age: 4 })
+		]
+
+		function searchBagheera (cb) {
+			models.Cat.search({ query: 'Bagheera', fields: [ 'name' ] }, function (err, results) {
+				testHelper.assertErrNull(err)
+				return cb(results)
+			})
+		}
+
+		async.series({
+			addCats: function (next) {
+				testHelper.saveDocs(testCats, next)
+			},
+			update: function (next) {
+				models.Cat.update({ name: 'Bagheera' }, { $set: { breed: 'panther' } }, { multi: true }, function (err, numAffected) {
+					testHelper.assertErrNull(err)
+					assert.equal(numAffected, 2)
+					return next()
+				})
+			},
+			findByIdAndUpdate: function (next) {
+				models.Cat.findByIdAndUpdate(testCats[0]._id, { $set: { age: 9 } }).exec(function (err, cat) {
+					testHelper.assertErrNull(err)
+					assert.equal(cat.age, 9)
+					return next()
+				})
+			},
+			wait: function (next) {
+				// wait 3s for the updates to be indexed
+				setTimeout(next, 3000)
+			},
+			refreshIndex: testHelper.refresh,
+			checkUpdates: function (next) {
+				searchBagheera(function (results) {
+					assert.equal(results.total, 2)
+
+					results.hits.forEach(function (hit) {
+						assert.equal(hit._source.breed, 'panther')
+
+						if (hit._id === testCats[0].id) {
+							assert.equal(hit._source.age, 9)
+						}
+					})
+
+					return next()
+				})
+			},
+			findOneAndRemove: function (next) {
+				models.Cat.findOneAndRemove({ _id: testCats[0]._id }, function (err, cat) {
+					testHelper.assertErrNull(err)
+					assert(cat)
+					return next()
+				})
+			},
+			remove: function (next) {
+				models.Cat.remove({ _id: { $in: [ testCats[1]._id, testCats[2]._id ] } }, function (err) {
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			waitForRemoves: function (next) {
+				setTimeout(next, 3000)
+			},
+			refreshAfterRemoves: testHelper.refresh,
+			checkRemoves: function (next) {
+				searchBagheera(function (results) {
+					assert.equal(results.total, 0)
+
+					models.Cat.search({ query: 'Shere', fields: [ 'name' ] }, function (err, results) {
+						testHelper.assertErrNull(err)
+						assert.equal(results.total, 0)
+						return next()
+					})
+				})
+			}
+		}, done)
+	})
+
+	it('with `bufferWrites`, saved and removed documents should be sent in one bulk request on elmongoose.flush()', function (done) {
+
+		var testMice = []
+
+		for (var i = 0; i < 5; i++) {
+			testMice.push(new models.Mouse({ name: 'mouse ' + i }))
+		}
+
+		var numIndexed = 0
+
+		async.series({
+			syncMice: function (next) {
+				models.Mouse.sync(next)
+			},
+			saveMice: function (next) {
+				testMice.forEach(function (mouse) {
+					mouse.once('elmongoose-indexed', function () {
+						numIndexed++
+					})
+				})
+
+				async.each(testMice, function (mouse, eachNext) {
+					mouse.save(function (err) {
+						return eachNext(err)
+					})
+				}, next)
+			},
+			removeMouse: function (next) {
+				// the buffered save is replaced by the remove
+				testMice[0].remove(next)
+			},
+			refreshIndex: testHelper.refresh,
+			checkNotIndexedYet: function (next) {
+				request({ url: 'http://localhost:9200/mice/_count', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert.equal(body.count, 0)
+					return next()
+				})
+			},
+			flush: function (next) {
+				elmongoose.flush(function (err) {
+					testHelper.assertErrNull(err)
+					assert.equal(numIndexed, testMice.length - 1)
+					return next()
+				})
+			},
+			refreshAfterFlush: testHelper.refresh,
+			checkIndexed: function (next) {
+				request({ url: 'http://localhost:9200/mice/_count', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert.equal(body.count, testMice.length - 1)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				async.each(testMice.slice(1), function (mouse, eachNext) {
+					mouse.remove(eachNext)
+				}, function (err) {
+					testHelper.assertErrNull(err)
+					elmongoose.flush(next)
+				})
+			}
+		}, done)
+	})
+
+	it('index operations that failed should be listed by elmongoose.pendingOperations(), and replayed', function (done) {
+
+		var testHamster = new models.Hamster({ name: 'Hammy' })
+
+		async.series({
+			syncHamsters: function (next) {
+				models.Hamster.sync(next)
+			},
+			// bypass mongoose so that the post-save hook doesn't index the hamster
+			insertHamster: function (next) {
+				models.Hamster.collection.insert(testHamster.toObject(), next)
+			},
+			failIndexing: function (next) {
+				var options = helpers.mergeModelOptions({ retryInterval: 500 }, models.Hamster)
+
+				// registering replays operations left pending right away - let that finish first
+				retry.register(models.Hamster, options)
+
+				setTimeout(function () {
+					retry.add(models.Hamster, options, [ testHamster._id ], 'index', new Error('Elasticsearch is down'))
+
+					// wait for the operation to be persisted
+					setTimeout(next, 100)
+				}, 100)
+			},
+			checkPending: function (next) {
+				elmongoose.pendingOperations(function (err, operations) {
+					testHelper.assertErrNull(err)
+
+					var pending = operations.filter(function (operation) { return operation.docId === testHamster.id })
+
+					assert.equal(pending.length, 1)
+					assert.equal(pending[0].action, 'index')
+					assert.equal(pending[0].index, 'hamsters')
+					assert.equal(pending[0].rejected, false)
+
+					return next()
+				})
+			},
+			waitForReplay: function (next) {
+				setTimeout(next, 1500)
+			},
+			refreshIndex: testHelper.refresh,
+			checkReplayed: function (next) {
+				elmongoose.pendingOperations(function (err, operations) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(operations.filter(function (operation) { return operation.docId === testHamster.id }).length, 0)
+
+					models.Hamster.search({ query: 'Hammy', fields: [ 'name' ] }, function (err, results) {
+						testHelper.assertErrNull(err)
+						assert.equal(results.total, 1)
+						return next()
+					})
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs([ testHamster ], next)
+			}
+		}, done)
+	})
+
+	it('index operations rejected with a retryable status should be persisted for replay', function (done) {
+
+		var testHamster = new models.Hamster({ name: 'Hammy' })
+		var backOffRequest = helpers.backOffRequest
+
+		async.series({
+			// elasticsearch replies that it's unavailable
+			failIndexing: function (next) {
+				helpers.backOffRequest = function (reqOpts, cb) {
+					setImmediate(function () {
+						cb(null, { statusCode: 503 }, { error: 'ClusterBlockException', status: 503 })
+					})
+				}
+
+				testHamster.index(function (err) {
+					helpers.backOffRequest = backOffRequest
+
+					assert(err instanceof Error)
+					assert.equal(err.elasticsearchReply.status, 503)
+
+					// wait for the operation to be persisted
+					setTimeout(next, 100)
+				})
+			},
+			checkPending: function (next) {
+				elmongoose.pendingOperations(function (err, operations) {
+					testHelper.assertErrNull(err)
+
+					var pending = operations.filter(function (operation) { return operation.docId === testHamster.id })
+
+					assert.equal(pending.length, 1)
+					assert.equal(pending[0].action, 'index')
+
+					return next()
+				})
+			}
+		}, function (err) {
+			helpers.backOffRequest = backOffRequest
+			return done(err)
+		})
+	})
+
+	it('replayed index operations that fail with a retryable status should stay pending, and the others should be marked rejected', function (done) {
+
+		var overloadedHamster = new models.Hamster({ name: 'Overloaded' })
+		var conflictingHamster = new models.Hamster({ name: 'Conflicting' })
+		var backOffRequest = helpers.backOffRequest
+
+		function getPending (operations, hamster) {
+			return operations.filter(function (operation) { return operation.docId === hamster.id })[0]
+		}
+
+		async.series({
+			// bypass mongoose so that the post-save hook doesn't index the hamsters
+			insertHamsters: function (next) {
+				models.Hamster.collection.insert([ overloadedHamster.toObject(), conflictingHamster.toObject() ], next)
+			},
+			failReplay: function (next) {
+				// elasticsearch is overloaded for one hamster, and rejects the other
+				helpers.backOffRequest = function (reqOpts, cb) {
+					if (!/_bulk/.test(reqOpts.url)) {
+						return backOffRequest(reqOpts, cb)
+					}
+
+					var items = reqOpts.body.trim().split('\n').map(JSON.parse).filter(function (line) {
+						return line.index || line.delete
+					}).map(function (line) {
+						var action = Object.keys(line)[0]
+						var item = {}
+
+						item[action] = { _id: line[action]._id, status: 200 }
+
+						if (line[action]._id === overloadedHamster.id) {
+							item[action] = { _id: overloadedHamster.id, status: 502, error: 'BadGateway' }
+						}
+						if (line[action]._id === conflictingHamster.id) {
+							item[action] = { _id: conflictingHamster.id, status: 400, error: 'MapperParsingException' }
+						}
+
+						return item
+					})
+
+					setImmediate(function () {
+						cb(null, { statusCode: 200 }, { errors: true, items: items })
+					})
+				}
+
+				var options = helpers.mergeModelOptions({ retryInterval: 500 }, models.Hamster)
+
+				retry.add(models.Hamster, options, [ overloadedHamster._id, conflictingHamster._id ], 'index', new Error('Elasticsearch is down'))
+
+				// wait for a replay
+				setTimeout(next, 1000)
+			},
+			checkPending: function (next) {
+				helpers.backOffRequest = backOffRequest
+
+				elmongoose.pendingOperations(function (err, operations) {
+					testHelper.assertErrNull(err)
+
+					var overloaded = getPending(operations, overloadedHamster)
+					var conflicting = getPending(operations, conflictingHamster)
+
+					assert.equal(overloaded.rejected, false)
+					assert(overloaded.attempts > 0)
+					assert.equal(overloaded.error, 'BadGateway')
+
+					assert.equal(conflicting.rejected, true)
+					assert.equal(conflicting.error, 'MapperParsingException')
+
+					return next()
+				})
+			},
+			waitForReplay: function (next) {
+				setTimeout(next, 1500)
+			},
+			checkReplayed: function (next) {
+				elmongoose.pendingOperations(function (err, operations) {
+					testHelper.assertErrNull(err)
+
+					assert(!getPending(operations, overloadedHamster))
+					assert.equal(getPending(operations, conflictingHamster).rejected, true)
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Hamster.db.collection('elmongoose_pending').remove({ docId: conflictingHamster.id }, function (err) {
+					testHelper.assertErrNull(err)
+					testHelper.removeDocs([ overloadedHamster, conflictingHamster ], next)
+				})
+			}
+		}, function (err) {
+			helpers.backOffRequest = backOffRequest
+			return done(err)
+		})
+	})
+
+	it('with `waitForIndex`, the save callback should be called once the document is indexed', function (done) {
+
+		var testParrot = new models.Parrot({ name: 'Polly' })
+
+		async.series({
+			syncParrots: function (next) {
+				models.Parrot.sync(next)
+			},
+			saveParrot: function (next) {
+				testParrot.save(function (err) {
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			// no waiting for the post-save hook
+			refreshIndex: testHelper.refresh,
+			doSearch: function (next) {
+				models.Parrot.search({ query: 'Polly', fields: [ 'name' ] }, function (err, results) {
+					testHelper.assertErrNull(err)
+					assert.equal(results.total, 1)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs([ testParrot ], next)
+			}
+		}, done)
+	})
+
+	it('with `waitForIndex`, the save callback should get the error if indexing fails', function (done) {
+
+		var testCanary = new models.Canary({ name: 'Tweety' })
+
+		async.series({
+			// the transform throws, so indexing fails before the save callback runs
+			saveCanary: function (next) {
+				testCanary.save(function (err) {
+					assert(err instanceof Error)
+					assert.equal(err.details.message, 'bad transform')
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Canary.remove({}, next)
+			}
+		}, done)
+	})
+
+	it('with `populate`, pets should be searchable by owner name, and reindexed when their owner is renamed', function (done) {
+
+		var testPerson = new models.Person({ name: 'Mowgli', email: 'mowgli@jungle.com' })
+		var testPet = new models.Pet({ name: 'Baloo', owner: testPerson })
+
+		async.series({
+			savePerson: function (next) {
+				testPerson.save(next)
+			},
+			syncPets: function (next) {
+				models.Pet.sync(next)
+			},
+			savePet: function (next) {
+				testPet.save(next)
+			},
+			// wait for the post-save hook
+			waitForIndexing: function (next) {
+				setTimeout(next, 2000)
+			},
+			refreshIndex: testHelper.refresh,
+			searchByOwner: function (next) {
+				models.Pet.search({ query: 'Mowgli', fields: [ 'owner.name' ] }, function (err, results) {
+					testHelper.assertErrNull(err)
+					assert.equal(results.total, 1)
+					assert.equal(results.hits[0]._source.owner.name, 'Mowgli')
+					assert.equal(results.hits[0]._source.owner.email, undefined)
+					return next()
+				})
+			},
+			renamePerson: function (next) {
+				testPerson.name = 'Kipling'
+				testPerson.save(next)
+			},
+			// wait for the dependent pets to be reindexed
+			waitForReindexing: function (next) {
+				setTimeout(next, 2000)
+			},
+			refreshAgain: testHelper.refresh,
+			searchByNewName: function (next) {
+				models.Pet.search({ query: 'Kipling', fields: [ 'owner.name' ] }, function (err, results) {
+					testHelper.assertErrNull(err)
+					assert.equal(results.total, 1)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs([ testPet, testPerson ], next)
+			}
+		}, done)
+	})
+
+	it('with `externalVersion`, indexing an older version of a document should not overwrite the newer one', function (done) {
+
+		var testLizard = new models.Lizard({ name: 'Rex', updatedAt: new Date(2000) })
+
+		async.series({
+			syncLizards: function (next) {
+				models.Lizard.sync(next)
+			},
+			saveLizard: function (next) {
+				testLizard.name = 'Rexy'
+				testLizard.updatedAt = new Date(3000)
+				testLizard.save(next)
+			},
+			// wait for the post-save hook
+			waitForIndexing: function (next) {
+				setTimeout(next, 2000)
+			},
+			indexOlderVersion: function (next) {
+				// as if an earlier save reached elasticsearch late
+				testLizard.name = 'Rex'
+				testLizard.updatedAt = new Date(2000)
+
+				testLizard.index(function (err) {
+					// version conflicts are not errors
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			doSearch: function (next) {
+				models.Lizard.search({ query: '*' }, function (err, results) {
+					testHelper.assertErrNull(err)
+					assert.equal(results.total, 1)
+					assert.equal(results.hits[0]._source.name, 'Rexy')
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs([ testLizard ], next)
+			}
+		}, done)
+	})
+
+	it('with `externalVersion`, deleting an older version of a document should not remove the newer one', function (done) {
+
+		var testLizard = new models.Lizard({ name: 'Iggy', updatedAt: new Date(3000) })
+
+		async.series({
+			saveLizard: function (next) {
+				testLizard.save(next)
+			},
+			// wait for the post-save hook
+			waitForIndexing: function (next) {
+				setTimeout(next, 2000)
+			},
+			unindexOlderVersion: function (next) {
+				// as if the delete of an earlier version reached elasticsearch late
+				testLizard.updatedAt = new Date(2000)
+
+				testLizard.unindex(function (err) {
+					// version conflicts are not errors
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			checkStillIndexed: function (next) {
+				models.Lizard.search({ query: 'Iggy', fields: [ 'name' ] }, function (err, results) {
+					testHelper.assertErrNull(err)
+					assert.equal(results.total, 1)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testLizard.updatedAt = new Date(3000)
+				testHelper.removeDocs([ testLizard ], next)
+			}
+		}, done)
+	})
+
+	it('version conflicts of documents indexed without a version should be errors', function (done) {
+
+		var testCat = testCats[0]
+		var backOffRequest = helpers.backOffRequest
+
+		helpers.backOffRequest = function (reqOpts, cb) {
+			setImmediate(function () {
+				cb(null, { statusCode: 409 }, { error: 'VersionConflictEngineException', status: 409 })
+			})
+		}
+
+		testCat.index(function (err) {
+			helpers.backOffRequest = backOffRequest
+
+			assert(err instanceof Error)
+			assert.equal(err.elasticsearchReply.status, 409)
+
+			return done()
+		})
+	})
+
+	it('without a callback, doc.unindex(), doc.index() and Model.search() should return Promises', function (done) {
+
+		var testCat = testCats[0]
+
+		testCat.unindex()
+		.then(function (body) {
+			assert.equal(body._id, testCat.id)
+
+			return new Promise(function (resolve) {
+				testHelper.refresh(resolve)
+			})
+		})
+		.then(function () {
+			return models.Cat.search({ query: testCat.name, fields: [ 'name' ] })
+		})
+		.then(function (results) {
+			assert.equal(results.total, 0)
+
+			return testCat.index()
+		})
+		.then(function (body) {
+			assert.equal(body._id, testCat.id)
+
+			testHelper.refresh(done)
+		})
+		.catch(done)
+	})
+
 	it('Model.search() with * should return all results', function (done) {
 
 		setTimeout(function () {
@@ -435,6 +1013,66 @@ describe('elmongoose plugin', function () {
 		})
 	})
 
+	it('without a callback, elmongoose.search() and Model.aggregateCount() should return Promises for the results', function (done) {
+
+		elmongoose.search({ query: '*', collections: [ 'cats' ] })
+		.then(function (results) {
+			assert.equal(results.total, testCats.length)
+			assert.equal(results.hits.length, testCats.length)
+
+			return models.Cat.aggregateCount({ groupBy: 'breed' })
+		})
+		.then(function (results) {
+			assert.equal(results.total, testCats.length)
+
+			var siamese = results.aggregation.ElmongooseAgg.buckets.filter(function (bucket) {
+				return bucket.key === 'siamese'
+			})
+
+			assert.equal(siamese.length, 1)
+			assert.equal(siamese[0].doc_count, 2)
+
+			return done()
+		})
+		.catch(done)
+	})
+
+	it('without a callback, elmongoose.search() and Model.aggregateCount() should reject their Promises on search errors', function (done) {
+
+		var backOffRequest = helpers.backOffRequest
+
+		// elasticsearch replies with an error instead of search results
+		helpers.backOffRequest = function (reqOpts, cb) {
+			setImmediate(function () {
+				cb(null, { statusCode: 400 }, { error: 'SearchPhaseExecutionException', status: 400 })
+			})
+		}
+
+		function restore (err) {
+			helpers.backOffRequest = backOffRequest
+			return done(err)
+		}
+
+		elmongoose.search({ query: '*', collections: [ 'cats' ] })
+		.then(function () {
+			throw new Error('expected elmongoose.search() to reject')
+		}, function (err) {
+			assert(err instanceof Error)
+			assert.equal(err.elasticsearchReply.status, 400)
+
+			return models.Cat.aggregateCount({ groupBy: 'breed' })
+		})
+		.then(function () {
+			throw new Error('expected Model.aggregateCount() to reject')
+		}, function (err) {
+			assert(err instanceof Error)
+			assert.equal(err.elasticsearchReply.status, 400)
+
+			return restore()
+		})
+		.catch(restore)
+	})
+
 	it('Model.search() with fuzziness 0.5 should return results for `Mangoo`', function (done) {
 		models.Cat.search({ query: 'Mangoo', fuzziness: 0.5 }, function (err, results) {
 			testHelper.assertErrNull(err)
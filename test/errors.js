@@ -0,0 +1,71 @@
+/**
+ *      Indexing error reporting tests
+ */
+var assert = require('assert'),
+    EventEmitter = require('events').EventEmitter,
+    errors = require('../lib/errors')
+
+describe('elmongo error reporting tests', function () {
+
+    afterEach(function () {
+        errors.emitter.removeAllListeners('error')
+    })
+
+    it('reports an error to the document, `onError`, the model and the global emitter', function () {
+        var doc = new EventEmitter()
+        var model = new EventEmitter()
+        var error = new Error('indexing failed')
+        var reported = []
+
+        doc.on('elmongoose-error', function (err, op) {
+            assert.equal(err, error)
+            assert.equal(op, 'index')
+            reported.push('doc')
+        })
+
+        model.on('error', function (err) {
+            assert.equal(err, error)
+            reported.push('model')
+        })
+
+        errors.emitter.on('error', function (err, errDoc, op) {
+            assert.equal(err, error)
+            assert.equal(errDoc, doc)
+            assert.equal(op, 'index')
+            reported.push('global')
+        })
+
+        var options = {
+            onError: function (err, errDoc, op) {
+                assert.equal(err, error)
+                assert.equal(errDoc, doc)
+                assert.equal(op, 'index')
+                reported.push('onError')
+            }
+        }
+
+        errors.report(error, 'index', options, model, doc)
+
+        assert.deepEqual(reported, [ 'doc', 'onError', 'model', 'global' ])
+        assert.equal(error.op, 'index')
+    })
+
+    it('does not emit `error` on a model or the global emitter without listeners', function () {
+        var model = new EventEmitter()
+        var log = console.log
+        var logged = []
+
+        // nothing listens, so the error is logged
+        console.log = function () {
+            logged.push(arguments)
+        }
+
+        try {
+            errors.report(new Error('unindexing failed'), 'unindex', {}, model, null)
+        } finally {
+            console.log = log
+        }
+
+        assert.equal(logged.length, 1)
+    })
+})
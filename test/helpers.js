@@ -4,7 +4,11 @@
 var helpers = require('../lib/helpers'),
 	ObjectID = require('mongodb').ObjectID,
 	assert = require('assert'),
-    Cat = require('./models').Cat
+    Cat = require('./models').Cat,
+    Lizard = require('./models').Lizard,
+    Account = require('./models').Account,
+    Person = require('./models').Person,
+    Schema = require('mongoose').Schema
 
 describe('elmongo helpers.serialize', function () {
 	it('`helpers.serialize` leaves primitives and null untouched', function (done) {
@@ -173,4 +177,284 @@ describe('elmongo helpers.mergeModelOptions', function () {
         assert.equal(mergedOptions.prefix, 'tolgatest')
         assert.equal(mergedOptions.type, 'cats')
     })
-})
\ No newline at end of file
+})
+
+describe('elmongo helpers.applyIndexFilterQuery', function () {
+    it('leaves the query untouched when there is no index filter query', function () {
+        var query = { _id: 1 }
+
+        assert.strictEqual(helpers.applyIndexFilterQuery(query, null), query)
+        assert.strictEqual(helpers.applyIndexFilterQuery(query, { test: function () { return true } }), query)
+    })
+
+    it('uses the index filter query for an empty query', function () {
+        var indexFilter = { query: { status: 'published' } }
+
+        assert.deepEqual(helpers.applyIndexFilterQuery({}, indexFilter), { status: 'published' })
+    })
+
+    it('combines the query with the index filter query', function () {
+        var indexFilter = { query: { status: 'published' } }
+
+        assert.deepEqual(helpers.applyIndexFilterQuery({ _id: 1 }, indexFilter), { $and: [ { _id: 1 }, { status: 'published' } ] })
+    })
+})
+
+describe('elmongo helpers.makeIndexCommand', function () {
+    it('has no version without `externalVersion`', function () {
+        var cat = new Cat({ name: 'Puffy' })
+
+        assert.deepEqual(helpers.makeIndexCommand('cats', cat, { type: 'cats' }), { index: { _index: 'cats', _type: 'cats', _id: cat.id } })
+    })
+
+    it('uses the field named by `externalVersion`', function () {
+        var date = new Date()
+        var lizard = new Lizard({ name: 'Rex', updatedAt: date })
+
+        var command = helpers.makeIndexCommand('lizards', lizard, { type: 'lizards', externalVersion: 'updatedAt' })
+
+        assert.equal(command.index._version, date.getTime())
+        assert.equal(command.index._version_type, 'external_gte')
+    })
+
+    it('makes versioned delete commands and version queries', function () {
+        var date = new Date()
+        var lizard = new Lizard({ name: 'Rex', updatedAt: date })
+        var options = { type: 'lizards', externalVersion: 'updatedAt' }
+
+        assert.deepEqual(helpers.makeDeleteCommand('lizards', lizard, options), {
+            delete: { _index: 'lizards', _type: 'lizards', _id: lizard.id, _version: date.getTime(), _version_type: 'external_gte' }
+        })
+        assert.equal(helpers.makeVersionQuery(lizard, options), '?version=' + date.getTime() + '&version_type=external_gte')
+
+        assert.deepEqual(helpers.makeDeleteCommand('lizards', lizard, { type: 'lizards' }), { delete: { _index: 'lizards', _type: 'lizards', _id: lizard.id } })
+        assert.equal(helpers.makeVersionQuery(lizard, { type: 'lizards' }), '')
+    })
+
+    it('converts a date field named by `externalVersion` to milliseconds', function () {
+        var date = new Date()
+        var lizard = new Lizard({ name: 'Rex', updatedAt: date })
+
+        assert.equal(helpers.getDocumentVersion(lizard, { externalVersion: 'updatedAt' }), date.getTime())
+        assert.strictEqual(helpers.getDocumentVersion(new Lizard({ name: 'Rex' }), { externalVersion: 'updatedAt' }), undefined)
+    })
+
+    it('requires `externalVersion` to name a number or date field of the schema', function () {
+        var schema = new Schema({ name: String, revision: Number, updatedAt: Date })
+
+        assert.throws(function () { helpers.checkExternalVersion(schema, { externalVersion: true }) }, /externalVersion/)
+        assert.throws(function () { helpers.checkExternalVersion(schema, { externalVersion: '__v' }) }, /externalVersion/)
+        assert.throws(function () { helpers.checkExternalVersion(schema, { externalVersion: 'name' }) }, /externalVersion/)
+
+        helpers.checkExternalVersion(schema, { externalVersion: 'revision' })
+        helpers.checkExternalVersion(schema, { externalVersion: 'updatedAt' })
+        helpers.checkExternalVersion(schema, {})
+    })
+
+    it('only ignores the version conflicts of versioned operations', function () {
+        assert(helpers.isIgnoredVersionConflict({ _id: 'a', _version: 3 }, 409))
+        assert(!helpers.isIgnoredVersionConflict({ _id: 'a' }, 409))
+        assert(!helpers.isIgnoredVersionConflict({ _id: 'a', _version: 3 }, 400))
+    })
+})
+
+describe('elmongo helpers.serializeModel', function () {
+    var account = new Account({
+        email: 'foo@bar.com',
+        passwordHash: 'abc',
+        profile: { bio: 'hi', token: 'def' }
+    })
+
+    it('leaves out fields with `es_indexed: false` and fields listed in `exclude`', function () {
+        var serialized = helpers.serializeModel(account, { exclude: [ 'profile.token' ] })
+
+        assert.equal(serialized.email, 'foo@bar.com')
+        assert.equal(serialized.profile.bio, 'hi')
+        assert.equal(serialized.passwordHash, undefined)
+        assert.equal(serialized.profile.token, undefined)
+    })
+
+    it('only keeps `_id` and fields listed in `include`', function () {
+        var serialized = helpers.serializeModel(account, { include: [ 'profile.bio', 'passwordHash' ] })
+
+        assert.deepEqual(serialized, { _id: account.id, profile: { bio: 'hi' } })
+    })
+
+    it('accepts a single path as a string for `include` and `exclude`', function () {
+        assert.deepEqual(helpers.serializeModel(account, { include: 'profile.bio' }), { _id: account.id, profile: { bio: 'hi' } })
+        assert.equal(helpers.serializeModel(account, { exclude: 'email' }).email, undefined)
+    })
+})
+
+describe('elmongo helpers.serializeDocument', function () {
+    var account = new Account({ email: 'foo@bar.com' })
+
+    it('passes the serialized document through without `transform`', function (done) {
+        helpers.serializeDocument(account, {}, function (err, serialized) {
+            assert.equal(err, null)
+            assert.deepEqual(serialized, { _id: account.id, email: 'foo@bar.com' })
+            done()
+        })
+    })
+
+    it('applies a `transform` that modifies the serialized document', function (done) {
+        var options = {
+            transform: function (doc, serialized) {
+                serialized.emailDomain = doc.email.split('@')[1]
+            }
+        }
+
+        helpers.serializeDocument(account, options, function (err, serialized) {
+            assert.equal(err, null)
+            assert.equal(serialized.emailDomain, 'bar.com')
+            done()
+        })
+    })
+
+    it('applies a `transform` that calls back with the document to index', function (done) {
+        var options = {
+            transform: function (doc, serialized, cb) {
+                setImmediate(function () {
+                    cb(null, { email: serialized.email.toUpperCase() })
+                })
+            }
+        }
+
+        helpers.serializeDocument(account, options, function (err, serialized) {
+            assert.equal(err, null)
+            assert.deepEqual(serialized, { email: 'FOO@BAR.COM' })
+            done()
+        })
+    })
+
+    it('skips `populate` paths that are not indexed', function (done) {
+        var person = new Person({ name: 'Tolga', parents: { mother: new ObjectID() } })
+
+        helpers.serializeDocument(person, { include: [ 'name' ], populate: [ 'parents.mother' ] }, function (err, serialized) {
+            assert.equal(err, null)
+            assert.deepEqual(serialized, { _id: person.id, name: 'Tolga' })
+            done()
+        })
+    })
+
+    it('calls back with the error of a `transform` that throws', function (done) {
+        var options = {
+            transform: function () {
+                throw new Error('bad transform')
+            }
+        }
+
+        helpers.serializeDocument(account, options, function (err) {
+            assert(err)
+            assert.equal(err.details.message, 'bad transform')
+            done()
+        })
+    })
+})
+
+describe('elmongo helpers.rewriteSerialized', function () {
+    it('renames fields, filling placeholders in the new path with field values', function () {
+        var serialized = {
+            legacyName: 'Tolga',
+            category: 'tv',
+            specs: { weight: 3 }
+        }
+
+        var options = {
+            rewrite: [
+                { rename: 'legacyName', to: 'info.name' },
+                { rename: 'specs', to: 'specs.{category}' }
+            ]
+        }
+
+        assert.deepEqual(helpers.rewriteSerialized(serialized, options), {
+            info: { name: 'Tolga' },
+            category: 'tv',
+            specs: { tv: { weight: 3 } }
+        })
+    })
+
+    it('applies the legacy `flatten`/`grouper` options as a rename', function () {
+        var serialized = { category: 'tv', specs: { weight: 3 } }
+
+        assert.deepEqual(helpers.rewriteSerialized(serialized, { flatten: 'specs', grouper: 'category' }), {
+            category: 'tv',
+            specs: { tv: { weight: 3 } }
+        })
+    })
+
+    it('keeps placeholder values containing `.` as one field, like the legacy options did', function () {
+        var serialized = { category: 'tv.lcd', meta: { kind: 'a.b' }, specs: { weight: 3 }, extra: 1 }
+
+        assert.deepEqual(helpers.rewriteSerialized(serialized, {
+            flatten: 'specs',
+            grouper: 'category',
+            rewrite: [ { rename: 'extra', to: 'extras.{meta.kind}.value' } ]
+        }), {
+            category: 'tv.lcd',
+            meta: { kind: 'a.b' },
+            specs: { 'tv.lcd': { weight: 3 } },
+            extras: { 'a.b': { value: 1 } }
+        })
+    })
+
+    it('flattens nested objects to fields with joined names', function () {
+        var serialized = { meta: { size: { width: 1, height: 2 }, color: 'red' } }
+
+        assert.deepEqual(helpers.rewriteSerialized(serialized, { rewrite: [ { flatten: 'meta', separator: '_' } ] }), {
+            meta_size_width: 1,
+            meta_size_height: 2,
+            meta_color: 'red'
+        })
+    })
+
+    it('pivots arrays of key/value pairs to objects', function () {
+        var serialized = { attributes: [ { name: 'color', value: 'red' }, { name: 'size', value: 'XL' } ] }
+
+        assert.deepEqual(helpers.rewriteSerialized(serialized, { rewrite: [ { pivot: 'attributes', key: 'name' } ] }), {
+            attributes: { color: 'red', size: 'XL' }
+        })
+    })
+})
+
+describe('elmongo helpers.elasticsearchBodyOk', function () {
+    it('accepts acknowledged replies, and rejects error replies', function () {
+        assert(helpers.elasticsearchBodyOk({ acknowledged: true }))
+        assert(!helpers.elasticsearchBodyOk({ error: 'InvalidAliasNameException[[cats] an index exists with the same name as the alias]', status: 400 }))
+    })
+})
+
+describe('elmongo helpers.getLiveIndexNames', function () {
+    it('lists the aliases and never synced indices with the prefix, without versioned indices', function (done) {
+        var backOffRequest = helpers.backOffRequest
+
+        helpers.backOffRequest = function (reqOpts, cb) {
+            setImmediate(function () {
+                cb(null, { statusCode: 200 }, {
+                    'test-cats-1380000000000': { aliases: { 'test-cats': {} } },
+                    'test-cats-1390000000000': { aliases: {} },
+                    'test-dogs': { aliases: {} },
+                    'dev-cats-1380000000000': { aliases: { 'dev-cats': {} } }
+                })
+            })
+        }
+
+        helpers.getLiveIndexNames({ host: 'localhost', port: 9200 }, 'test-', function (err, indexNames) {
+            helpers.backOffRequest = backOffRequest
+
+            assert.equal(err, null)
+            assert.deepEqual(indexNames.sort(), [ 'test-cats', 'test-dogs' ])
+            done()
+        })
+    })
+})
+
+describe('elmongo helpers.isRetryableStatus', function () {
+    it('retries overloaded or unavailable replies, not rejected requests', function () {
+        assert(helpers.isRetryableStatus(429))
+        assert(helpers.isRetryableStatus(503))
+        assert(!helpers.isRetryableStatus(400))
+        assert(!helpers.isRetryableStatus(409))
+        assert(!helpers.isRetryableStatus(undefined))
+    })
+})
@@ -124,4 +124,138 @@ describe('elmongo mapping tests', function () {
 
         return done()
     })
-})
\ No newline at end of file
+
+    it('leaves fields that are not indexed out of the mapping for Account model', function (done) {
+        var generatedMap = mapping.generateMapping(models.AccountSchema, { exclude: [ 'profile.token' ] })
+
+        assert(generatedMap.properties.email)
+        assert(generatedMap.properties.profile.properties.bio)
+        assert.equal(generatedMap.properties.passwordHash, undefined)
+        assert.equal(generatedMap.properties.profile.properties.token, undefined)
+
+        return done()
+    })
+
+    it('adds `transformMapping` to the mapping for Account model', function (done) {
+        var generatedMap = mapping.generateMapping(models.AccountSchema, { transformMapping: { emailDomain: { type: 'string', index: 'not_analyzed' } } })
+
+        assert.deepEqual(generatedMap.properties.emailDomain, { type: 'string', index: 'not_analyzed' })
+
+        return done()
+    })
+
+    it('maps populated references as the documents they reference for Pet model', function (done) {
+        var generatedMap = mapping.generateMapping(models.PetSchema, { populate: [ { path: 'owner', select: 'name' } ] })
+
+        assert.equal(generatedMap.properties.owner.type, 'object')
+        assert.equal(generatedMap.properties.owner.properties.name.type, 'string')
+        assert.equal(generatedMap.properties.owner.properties.email, undefined)
+
+        generatedMap = mapping.generateMapping(models.PetSchema, { populate: [ { path: 'owner', nested: true } ] })
+
+        assert.equal(generatedMap.properties.owner.type, 'nested')
+        assert.equal(generatedMap.properties.owner.properties.email.type, 'string')
+
+        return done()
+    })
+
+    it('maps populated references nested in objects, and skips those that are not indexed for Person model', function (done) {
+        var generatedMap = mapping.generateMapping(models.PersonSchema, { populate: [ 'parents.mother' ] })
+
+        assert.equal(generatedMap.properties.parents.properties.mother.type, 'object')
+        assert.equal(generatedMap.properties.parents.properties.mother.properties.name.type, 'string')
+
+        generatedMap = mapping.generateMapping(models.PersonSchema, { include: [ 'name' ], populate: [ 'parents.mother' ] })
+
+        assert.equal(generatedMap.properties.parents, undefined)
+        assert.equal(generatedMap.properties.name.type, 'string')
+
+        return done()
+    })
+
+    it('applies `rewrite` rules to the mapping for Account model', function (done) {
+        var generatedMap = mapping.generateMapping(models.AccountSchema, {
+            rewrite: [
+                { rename: 'email', to: 'contact.email' },
+                { flatten: 'profile', separator: '_' }
+            ]
+        })
+
+        assert.equal(generatedMap.properties.email, undefined)
+        assert.equal(generatedMap.properties.contact.properties.email.type, 'string')
+        assert.equal(generatedMap.properties.profile, undefined)
+        assert.equal(generatedMap.properties.profile_bio.type, 'string')
+
+        return done()
+    })
+
+    it('keeps the mapping of the sub document with the legacy `flatten`/`grouper` options', function (done) {
+        var ProductSchema = new mongoose.Schema({
+            category: String,
+            specs: {
+                label: { type: String, autocomplete: true },
+                weight: Number
+            }
+        })
+
+        var generatedMap = mapping.generateMapping(ProductSchema, { flatten: 'specs', grouper: 'category' })
+
+        assert.deepEqual(generatedMap, mapping.generateMapping(ProductSchema))
+        assert.equal(generatedMap.properties.specs.properties.label.index_analyzer, 'autocomplete_index')
+        assert.equal(generatedMap.properties.specs.properties.weight.type, 'double')
+
+        return done()
+    })
+
+    it('carries mapping parameters set in schema path options into the mapping', function (done) {
+        var ProductSchema = new mongoose.Schema({
+            sku: { type: String, es_index: 'not_analyzed' },
+            description: { type: String, autocomplete: true, es_analyzer: 'english', es_search_analyzer: 'standard', es_boost: 2 },
+            releasedOn: { type: String, es_type: 'date', es_format: 'yyyy-MM-dd' },
+            rating: { type: Number, es_type: 'integer', es_null_value: 0 },
+            tags: [ { type: String, es_index: 'not_analyzed' } ]
+        })
+
+        var generatedMap = mapping.generateMapping(ProductSchema)
+
+        assert.deepEqual(generatedMap.properties.sku, { type: 'string', index: 'not_analyzed' })
+        assert.deepEqual(generatedMap.properties.description, {
+            type: 'string',
+            search_analyzer: 'standard',
+            analyzer: 'english',
+            boost: 2
+        })
+        assert.deepEqual(generatedMap.properties.releasedOn, { type: 'date', format: 'yyyy-MM-dd' })
+        assert.deepEqual(generatedMap.properties.rating, { type: 'integer', null_value: 0 })
+        assert.deepEqual(generatedMap.properties.tags, { type: 'string', index: 'not_analyzed' })
+
+        return done()
+    })
+
+    it('maps document arrays like their subdocuments, leaving out the fields that are not indexed', function (done) {
+        var PostSchema = new mongoose.Schema({
+            title: String,
+            comments: [ { body: String, ip: { type: String, es_indexed: false }, meta: { votes: Number } } ]
+        })
+
+        var generatedMap = mapping.generateMapping(PostSchema)
+
+        assert.equal(generatedMap.properties.comments.type, 'object')
+        assert.equal(generatedMap.properties.comments.properties.body.type, 'string')
+        assert.equal(generatedMap.properties.comments.properties.meta.properties.votes.type, 'double')
+        assert.equal(generatedMap.properties.comments.properties.ip, undefined)
+
+        // `include` and `exclude` apply to the subdocument fields by their full path, and can be a single path
+        generatedMap = mapping.generateMapping(PostSchema, { include: 'comments.body' })
+
+        assert.deepEqual(Object.keys(generatedMap.properties).sort(), [ '_id', 'comments' ])
+        assert.deepEqual(Object.keys(generatedMap.properties.comments.properties), [ 'body' ])
+
+        generatedMap = mapping.generateMapping(PostSchema, { exclude: 'comments.meta' })
+
+        assert.equal(generatedMap.properties.comments.properties.meta, undefined)
+        assert(generatedMap.properties.comments.properties.body)
+
+        return done()
+    })
+})
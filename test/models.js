@@ -45,10 +45,92 @@ var Hetero = new Schema({
 	singleObjectId: ObjectId
 })
 
+// schema definition to test index version retention and rollback, and parallel bulk indexing
+var Dog = new Schema({
+	name: { type: String },
+	breed: { type: String }
+})
+
+// schema definition to test indexing only a filtered subset of a collection
+var Article = new Schema({
+	title: { type: String },
+	status: { type: String },
+	archived: { type: Boolean }
+})
+
+// schema definition to test buffered, bulk post-save indexing
+var Mouse = new Schema({
+	name: { type: String }
+})
+
+// schema definition to test replaying index operations that failed
+var Hamster = new Schema({
+	name: { type: String }
+})
+
+// schema definition to test saves that wait for indexing
+var Parrot = new Schema({
+	name: { type: String }
+})
+
+// schema definition to test saves that wait for indexing, when indexing fails
+var Canary = new Schema({
+	name: { type: String }
+})
+
+// schema definition to test external versioning
+var Lizard = new Schema({
+	name: { type: String },
+	updatedAt: { type: Date }
+})
+
+// schema definition to test leaving fields out of the index
+var Account = new Schema({
+	email: { type: String },
+	passwordHash: { type: String, es_indexed: false },
+	profile: {
+		bio: { type: String },
+		token: { type: String }
+	}
+})
+
+// schema definition to test denormalizing populated references
+var Pet = new Schema({
+	name: { type: String },
+	owner: { type: ObjectId, ref: 'Person' }
+})
+
 // add elmongo plugin to each schema
 Cat.plugin(elmongo)
 Person.plugin(elmongo)
 Hetero.plugin(elmongo)
+Dog.plugin(elmongo, { keepVersions: 1, batchSize: 2, concurrency: 3 })
+Article.plugin(elmongo, {
+	indexFilter: {
+		query: { status: 'published' },
+		test: function (doc) { return !doc.archived }
+	}
+})
+Mouse.plugin(elmongo, { bufferWrites: { flushInterval: 60*1000, maxSize: 1000 } })
+Hamster.plugin(elmongo, { retryInterval: 500 })
+Parrot.plugin(elmongo, { waitForIndex: true })
+Canary.plugin(elmongo, {
+	waitForIndex: true,
+	transform: function () {
+		throw new Error('bad transform')
+	}
+})
+Lizard.plugin(elmongo, { externalVersion: 'updatedAt' })
+Pet.plugin(elmongo, { populate: [ { path: 'owner', select: 'name' } ] })
+Account.plugin(elmongo, {
+	exclude: [ 'profile.token' ],
+	transform: function (account, serialized) {
+		serialized.emailDomain = account.email && account.email.split('@')[1]
+	},
+	transformMapping: {
+		emailDomain: { type: 'string', index: 'not_analyzed' }
+	}
+})
 
 // exports
 exports.Cat = mongoose.model('Cat', Cat)
@@ -59,3 +141,30 @@ exports.PersonSchema = Person
 
 exports.Hetero = mongoose.model('Hetero', Hetero)
 exports.HeteroSchema = Hetero
+
+exports.Dog = mongoose.model('Dog', Dog)
+exports.DogSchema = Dog
+
+exports.Article = mongoose.model('Article', Article)
+exports.ArticleSchema = Article
+
+exports.Mouse = mongoose.model('Mouse', Mouse)
+exports.MouseSchema = Mouse
+
+exports.Hamster = mongoose.model('Hamster', Hamster)
+exports.HamsterSchema = Hamster
+
+exports.Parrot = mongoose.model('Parrot', Parrot)
+exports.ParrotSchema = Parrot
+
+exports.Canary = mongoose.model('Canary', Canary)
+exports.CanarySchema = Canary
+
+exports.Lizard = mongoose.model('Lizard', Lizard)
+exports.LizardSchema = Lizard
+
+exports.Account = mongoose.model('Account', Account)
+exports.AccountSchema = Account
+
+exports.Pet = mongoose.model('Pet', Pet)
+exports.PetSchema = Pet
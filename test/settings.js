@@ -0,0 +1,71 @@
+/**
+ *      Index settings tests
+ */
+var assert = require('assert'),
+    mongoose = require('mongoose'),
+    Schema = mongoose.Schema,
+    settings = require('../lib/settings')
+
+describe('elmongo settings tests', function () {
+
+    it('generates the default settings when none are configured', function () {
+        var generatedSettings = settings.generateSettings(new Schema({ name: String }), {})
+
+        assert.equal(generatedSettings.number_of_shards, 3)
+        assert.equal(generatedSettings.number_of_replicas, 2)
+        assert(generatedSettings.analysis.analyzer.default)
+        assert(generatedSettings.analysis.analyzer.autocomplete_index)
+        assert(generatedSettings.analysis.analyzer.autocomplete_search)
+        assert(generatedSettings.analysis.tokenizer.autocomplete_ngram)
+        assert(generatedSettings.analysis.filter.word_delimiter_1)
+    })
+
+    it('merges schema `es_settings` and plugin `settings` over the defaults', function () {
+        var schema = new Schema({ name: String }, {
+            es_settings: {
+                number_of_shards: 1,
+                number_of_replicas: 1,
+                analysis: {
+                    filter: {
+                        english_stemmer: { type: 'stemmer', language: 'english' }
+                    }
+                }
+            }
+        })
+
+        var options = {
+            settings: {
+                number_of_replicas: 0,
+                refresh_interval: '30s',
+                analysis: {
+                    analyzer: {
+                        english_text: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: [ 'lowercase', 'english_stemmer' ]
+                        }
+                    }
+                }
+            }
+        }
+
+        var generatedSettings = settings.generateSettings(schema, options)
+
+        assert.equal(generatedSettings.number_of_shards, 1)
+        assert.equal(generatedSettings.number_of_replicas, 0)
+        assert.equal(generatedSettings.refresh_interval, '30s')
+        assert.equal(generatedSettings.analysis.filter.english_stemmer.language, 'english')
+        assert.deepEqual(generatedSettings.analysis.analyzer.english_text.filter, [ 'lowercase', 'english_stemmer' ])
+
+        // default analyzers are kept
+        assert(generatedSettings.analysis.analyzer.default)
+        assert(generatedSettings.analysis.analyzer.autocomplete_index)
+        assert(generatedSettings.analysis.filter.word_delimiter_1)
+    })
+
+    it('does not modify the default settings between calls', function () {
+        settings.generateSettings(null, { settings: { number_of_replicas: 0 } })
+
+        assert.equal(settings.defaultSettings().number_of_replicas, 2)
+    })
+})
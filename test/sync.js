@@ -1,5 +1,7 @@
 var assert = require('assert'),
 	helpers = require('../lib/helpers'),
+	checkpoint = require('../lib/checkpoint'),
+	lock = require('../lib/lock'),
 	testHelper = require('./testHelper'),
 	models = require('./models'),
 	async = require('async'),
@@ -122,4 +124,1386 @@ describe('Model.sync()', function () {
 	it('sync `hetero` schema should callback without errors', function (done) {
 		return models.Hetero.sync(done)
 	})
+
+	it('Model.sync() should emit `progress` and `done` events with a report scoped to the sync run', function (done) {
+		var progressEvents = []
+		var doneReport = null
+
+		var syncRun = models.Cat.sync(function (err, numSynced, report) {
+			testHelper.assertErrNull(err)
+
+			assert(doneReport)
+			assert.strictEqual(report, doneReport)
+
+			assert(/^cats-[0-9]+$/.test(report.indexName))
+			assert.equal(report.alias, 'cats')
+			assert.equal(report.total, numSynced)
+			assert.equal(report.indexed, numSynced)
+			assert.equal(report.excluded, 0)
+			assert.equal(report.failed, 0)
+			assert(report.batches.length >= 1)
+			assert(report.duration >= 0)
+
+			var lastProgress = progressEvents[progressEvents.length - 1]
+
+			assert.equal(progressEvents.length, report.batches.length)
+			assert.equal(lastProgress.indexed, numSynced)
+			assert.equal(lastProgress.total, numSynced)
+
+			return done()
+		})
+
+		syncRun.on('progress', function (progress) {
+			progressEvents.push(progress)
+		})
+
+		syncRun.on('done', function (report) {
+			doneReport = report
+		})
+	})
+
+	it('without a callback, Model.sync() should return a Promise for the report that can be listened on', function (done) {
+		var progressEvents = []
+		var doneReport = null
+
+		var syncRun = models.Cat.sync()
+
+		// `on` and `once` are proxied to the sync run, and return the Promise for chaining
+		assert.strictEqual(syncRun.on('progress', function (progress) {
+			progressEvents.push(progress)
+		}), syncRun)
+
+		assert.strictEqual(syncRun.once('done', function (report) {
+			doneReport = report
+		}), syncRun)
+
+		syncRun
+		.then(function (report) {
+			assert(doneReport)
+			assert.strictEqual(report, doneReport)
+			assert(/^cats-[0-9]+$/.test(report.indexName))
+			assert.equal(report.failed, 0)
+			assert.equal(progressEvents.length, report.batches.length)
+
+			return done()
+		})
+		.catch(done)
+	})
+
+	it('without a callback, Model.sync() should reject its Promise when the sync fails', function (done) {
+		var badCatObj = {
+			name: 'badage',
+			age: 'not a number',
+			_id: new ObjectID()
+		}
+
+		var db = null
+
+		async.series({
+			insertBadCat: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					db.collection('cats').insert(badCatObj, next)
+				})
+			},
+			syncRejects: function (next) {
+				models.Cat.sync({ maxFailures: 0 })
+				.then(function () {
+					return next(new Error('expected the sync Promise to be rejected'))
+				}, function (err) {
+					assert(err instanceof Error)
+					assert.equal(err.failures.length, 1)
+					assert.equal(err.failures[0]._id, badCatObj._id.toString())
+					assert(err.syncReport)
+
+					return next()
+				})
+				.catch(next)
+			},
+			cleanup: function (next) {
+				db.collection('cats').remove({ _id: badCatObj._id }, function (err) {
+					db.close()
+					return next(err)
+				})
+			}
+		}, done)
+	})
+
+	it('Model.sync() should report documents elasticsearch rejects, and abort above `maxFailures`', function (done) {
+		// `age` is mapped as a double, so elasticsearch rejects this document
+		var badCatObj = {
+			name: 'badage',
+			age: 'not a number',
+			_id: new ObjectID()
+		}
+
+		var db = null
+
+		async.series({
+			insertBadCat: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					db.collection('cats').insert(badCatObj, next)
+				})
+			},
+			syncReportsFailure: function (next) {
+				models.Cat.sync(function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(report.failed, 1)
+					assert.equal(report.indexed, numSynced - 1)
+					assert.equal(report.failures.length, 1)
+					assert.equal(report.failures[0]._id, badCatObj._id.toString())
+					assert(report.failures[0].reason)
+
+					return next()
+				})
+			},
+			syncAborts: function (next) {
+				models.Cat.sync({ maxFailures: 0 }, function (err) {
+					assert(err instanceof Error)
+					assert.equal(err.failures.length, 1)
+					assert.equal(err.failures[0]._id, badCatObj._id.toString())
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				db.collection('cats').remove({ _id: badCatObj._id }, function (err) {
+					db.close()
+					return next(err)
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync() should populate a timestamp-versioned index and point the alias at it', function (done) {
+		var firstVersion = null
+
+		async.series({
+			syncCat: function (next) {
+				models.Cat.sync(next)
+			},
+			checkAlias: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					var versions = Object.keys(aliases).filter(function (indexName) {
+						return /^cats-[0-9]+$/.test(indexName)
+					})
+
+					assert.equal(versions.length, 1)
+					assert.deepEqual(aliases[versions[0]], [ 'cats' ])
+					assert.equal(aliases.cats, undefined)
+
+					firstVersion = versions[0]
+
+					return next()
+				})
+			},
+			resyncCat: function (next) {
+				models.Cat.sync(next)
+			},
+			checkAliasSwapped: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					var versions = Object.keys(aliases).filter(function (indexName) {
+						return /^cats-[0-9]+$/.test(indexName)
+					})
+
+					// the previous version is deleted after the alias is swapped
+					assert.equal(versions.length, 1)
+					assert.notEqual(versions[0], firstVersion)
+					assert.deepEqual(aliases[versions[0]], [ 'cats' ])
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync({ resume: true }) should continue populating the index of an interrupted sync after its checkpoint', function (done) {
+		var interruptedIndexName = 'cats-' + Date.now()
+		var testCats = []
+
+		async.series({
+			insertCats: function (next) {
+				testCats = [ 'resumeA', 'resumeB', 'resumeC' ].map(function (name) {
+					return new models.Cat({ name: name })
+				})
+
+				testHelper.saveDocs(testCats, next)
+			},
+			createInterruptedIndex: function (next) {
+				request({ method: 'PUT', url: 'http://localhost:9200/' + interruptedIndexName, json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert(helpers.elasticsearchBodyOk(body))
+					return next()
+				})
+			},
+			// pretend a sync was interrupted after indexing everything up to the first cat
+			saveCheckpoint: function (next) {
+				models.Cat.find().sort({ _id: 1 }).exec(function (err, cats) {
+					testHelper.assertErrNull(err)
+
+					var lastId = cats[cats.length - testCats.length]._id
+
+					checkpoint.save(models.Cat, 'cats', { indexName: interruptedIndexName, lastId: lastId, indexed: 1 }, {}, next)
+				})
+			},
+			resumeSync: function (next) {
+				models.Cat.sync({ resume: true }, next)
+			},
+			checkAlias: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					assert.deepEqual(aliases[interruptedIndexName], [ 'cats' ])
+					return next()
+				})
+			},
+			checkResumedDocs: function (next) {
+				request({ url: 'http://localhost:9200/' + interruptedIndexName + '/_search?q=name:resume*', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					var names = body.hits.hits.map(function (hit) { return hit._source.name }).sort()
+
+					// the checkpointed cat was not re-indexed
+					assert.deepEqual(names, [ 'resumeB', 'resumeC' ])
+
+					return next()
+				})
+			},
+			checkCheckpointRemoved: function (next) {
+				checkpoint.load(models.Cat, 'cats', {}, function (err, savedCheckpoint) {
+					testHelper.assertErrNull(err)
+					assert.equal(savedCheckpoint, null)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs(testCats, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('a Model.sync() that fails after swapping the alias should not get its live index deleted by the next sync', function (done) {
+		var backOffRequest = helpers.backOffRequest
+		var liveIndexName = null
+		var deletedIndices = []
+
+		function getLiveDogIndex (cb) {
+			testHelper.getAliases(function (err, aliases) {
+				var liveIndices = Object.keys(aliases).filter(function (indexName) {
+					return /^dogs-[0-9]+$/.test(indexName) && aliases[indexName].indexOf('dogs') !== -1
+				})
+
+				assert.equal(liveIndices.length, 1)
+
+				return cb(liveIndices[0])
+			})
+		}
+
+		async.series({
+			firstSync: function (next) {
+				models.Dog.sync(next)
+			},
+			// closing or deleting the old versions fails, after the alias was swapped
+			failingSync: function (next) {
+				helpers.backOffRequest = function (reqOpts, cb) {
+					if (/\/dogs-[0-9]+(\/_close)?$/.test(reqOpts.url) && (reqOpts.method === 'DELETE' || /_close$/.test(reqOpts.url))) {
+						return setImmediate(function () {
+							cb(null, { statusCode: 500 }, { error: 'simulated cleanup failure', status: 500 })
+						})
+					}
+
+					return backOffRequest(reqOpts, cb)
+				}
+
+				models.Dog.sync(function (err) {
+					helpers.backOffRequest = backOffRequest
+
+					assert(err instanceof Error)
+
+					return next()
+				})
+			},
+			checkCheckpointRemoved: function (next) {
+				checkpoint.load(models.Dog, 'dogs', {}, function (err, savedCheckpoint) {
+					testHelper.assertErrNull(err)
+					assert.equal(savedCheckpoint, null)
+					return next()
+				})
+			},
+			findLiveIndex: function (next) {
+				getLiveDogIndex(function (indexName) {
+					liveIndexName = indexName
+					return next()
+				})
+			},
+			// as left by a sync that failed after swapping the alias, before checkpoints were removed right after the swap
+			saveStaleCheckpoint: function (next) {
+				checkpoint.save(models.Dog, 'dogs', { indexName: liveIndexName, lastId: null, indexed: 0 }, {}, next)
+			},
+			secondSync: function (next) {
+				helpers.backOffRequest = function (reqOpts, cb) {
+					if (reqOpts.method === 'DELETE') {
+						deletedIndices.push(reqOpts.url.split('/').pop())
+					}
+
+					return backOffRequest(reqOpts, cb)
+				}
+
+				models.Dog.sync(function (err) {
+					helpers.backOffRequest = backOffRequest
+					return next(err)
+				})
+			},
+			checkLiveIndexKept: function (next) {
+				// the previously live index is retained for rollbacks (`keepVersions: 1`), not deleted
+				assert.equal(deletedIndices.indexOf(liveIndexName), -1)
+
+				getLiveDogIndex(function (indexName) {
+					assert.notEqual(indexName, liveIndexName)
+					return next()
+				})
+			}
+		}, function (err) {
+			helpers.backOffRequest = backOffRequest
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.syncSince() should index documents inserted since a date into the live index without creating a new version', function (done) {
+		var catObj = {
+			name: 'catchup',
+			_id: new ObjectID()
+		}
+
+		var liveIndexName = null
+		var db = null
+
+		async.series({
+			getLiveIndex: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					liveIndexName = Object.keys(aliases).filter(function (indexName) {
+						return aliases[indexName].indexOf('cats') !== -1
+					})[0]
+
+					assert(liveIndexName)
+
+					return next()
+				})
+			},
+			// bypass mongoose so that post-save hooks don't index the cat
+			insertCat: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					db.collection('cats').insert(catObj, next)
+				})
+			},
+			syncSince: function (next) {
+				models.Cat.syncSince({ since: new Date(Date.now() - 60*1000) }, function (err, numIndexed) {
+					testHelper.assertErrNull(err)
+
+					assert(numIndexed >= 1)
+
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			checkAlias: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					assert.deepEqual(aliases[liveIndexName], [ 'cats' ])
+					return next()
+				})
+			},
+			searchCat: function (next) {
+				request({ url: 'http://localhost:9200/cats/_search?q=name:catchup', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(body.hits.total, 1)
+					assert.equal(body.hits.hits[0]._id, catObj._id.toString())
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				db.collection('cats').remove({ _id: catObj._id }, function (err) {
+					db.close()
+					return next(err)
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.syncSince() without `since` should callback with an error', function (done) {
+		models.Cat.syncSince({ field: 'updatedAt' }, function (err) {
+			assert(err instanceof Error)
+			return done()
+		})
+	})
+
+	it('Model.sync() with `batchSize` and `concurrency` should index every document in parallel bulk requests', function (done) {
+		var testDogs = []
+
+		for (var i = 0; i < 7; i++) {
+			testDogs.push(new models.Dog({ name: 'dog ' + i }))
+		}
+
+		async.series({
+			insertDogs: function (next) {
+				testHelper.saveDocs(testDogs, next)
+			},
+			syncDogs: function (next) {
+				models.Dog.sync(function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(numSynced, testDogs.length)
+					assert.equal(report.indexed, testDogs.length)
+					// batches of 2 docs
+					assert.equal(report.batches.length, 4)
+
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			countDogs: function (next) {
+				request({ url: 'http://localhost:9200/dogs/_count', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert.equal(body.count, testDogs.length)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				testHelper.removeDocs(testDogs, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync() should only index documents passing the `indexFilter`', function (done) {
+		var testArticles = [
+			new models.Article({ title: 'draft', status: 'draft' }),
+			new models.Article({ title: 'published', status: 'published' }),
+			new models.Article({ title: 'archived', status: 'published', archived: true })
+		]
+
+		async.series({
+			insertArticles: function (next) {
+				async.each(testArticles, function (article, articleNext) {
+					article.save(function (err) { return articleNext(err) })
+				}, next)
+			},
+			syncArticles: function (next) {
+				models.Article.sync(function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					// the draft is left out by the filter query, the archived article by the filter test
+					assert.equal(report.total, 2)
+					assert.equal(report.indexed, 1)
+					assert.equal(report.excluded, 1)
+
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			searchArticles: function (next) {
+				request({ url: 'http://localhost:9200/articles/_search', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(body.hits.total, 1)
+					assert.equal(body.hits.hits[0]._source.title, 'published')
+
+					return next()
+				})
+			},
+			// archiving the published article should unindex it
+			archiveArticle: function (next) {
+				testArticles[1].once('elmongoose-unindexed', function () {
+					return next()
+				})
+
+				testArticles[1].archived = true
+				testArticles[1].save()
+			},
+			refreshAfterArchive: testHelper.refresh,
+			searchAfterArchive: function (next) {
+				request({ url: 'http://localhost:9200/articles/_search', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert.equal(body.hits.total, 0)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Article.remove({}, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.syncSince() should unindex changed documents that no longer pass the `indexFilter`', function (done) {
+		var testArticles = [
+			new models.Article({ title: 'unpublished', status: 'published' }),
+			new models.Article({ title: 'archived', status: 'published' }),
+			new models.Article({ title: 'published', status: 'published' })
+		]
+
+		var db = null
+
+		async.series({
+			insertArticles: function (next) {
+				async.each(testArticles, function (article, articleNext) {
+					article.save(function (err) { return articleNext(err) })
+				}, next)
+			},
+			syncArticles: function (next) {
+				models.Article.sync(next)
+			},
+			// bypass mongoose so that post-save hooks don't unindex the articles
+			changeArticles: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+
+					async.series([
+						function (seriesNext) {
+							db.collection('articles').update({ _id: testArticles[0]._id }, { $set: { status: 'draft' } }, seriesNext)
+						},
+						function (seriesNext) {
+							db.collection('articles').update({ _id: testArticles[1]._id }, { $set: { archived: true } }, seriesNext)
+						}
+					], function (err) {
+						db.close()
+						return next(err)
+					})
+				})
+			},
+			syncSince: function (next) {
+				models.Article.syncSince({ since: new Date(Date.now() - 60*1000) }, function (err, numIndexed, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(numIndexed, 1)
+					assert.equal(report.unindexed, 2)
+
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			searchArticles: function (next) {
+				request({ url: 'http://localhost:9200/articles/_search', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(body.hits.total, 1)
+					assert.equal(body.hits.hits[0]._source.title, 'published')
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Article.remove({}, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.syncSince() with `resume` should continue after the checkpointed position', function (done) {
+		var since = new Date(Date.now() - 60*1000)
+
+		var testArticles = [
+			new models.Article({ title: 'first', status: 'published' }),
+			new models.Article({ title: 'second', status: 'published' })
+		]
+
+		async.series({
+			insertArticles: function (next) {
+				async.eachSeries(testArticles, function (article, articleNext) {
+					article.save(function (err) { return articleNext(err) })
+				}, next)
+			},
+			// as if a run was interrupted after indexing the first article
+			saveCheckpoint: function (next) {
+				var position = {
+					since: since,
+					field: null,
+					phase: 'index',
+					lastValue: null,
+					lastId: testArticles[0]._id
+				}
+
+				checkpoint.saveSincePosition(models.Article, 'articles', position, {}, next)
+			},
+			resumeSyncSince: function (next) {
+				models.Article.syncSince({ since: since, resume: true }, function (err, numIndexed, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(report.resumed, true)
+					assert.equal(numIndexed, 1)
+
+					return next()
+				})
+			},
+			checkCheckpointRemoved: function (next) {
+				checkpoint.loadSincePosition(models.Article, 'articles', {}, function (err, position) {
+					testHelper.assertErrNull(err)
+					assert.equal(position, null)
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Article.remove({}, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync({ resume: true, verify: true }) should expect the documents passing the `indexFilter`, not only the ones seen by the resumed run', function (done) {
+		var interruptedIndexName = 'articles-' + Date.now()
+
+		// the archived article is excluded by the filter test, before the checkpoint
+		var testArticles = [
+			new models.Article({ title: 'first', status: 'published' }),
+			new models.Article({ title: 'archived', status: 'published', archived: true }),
+			new models.Article({ title: 'last', status: 'published' })
+		]
+
+		async.series({
+			insertArticles: function (next) {
+				async.eachSeries(testArticles, function (article, articleNext) {
+					article.save(function (err) { return articleNext(err) })
+				}, next)
+			},
+			// pretend a sync indexed the first article, excluded the archived one, then was interrupted
+			createInterruptedIndex: function (next) {
+				request({ method: 'PUT', url: 'http://localhost:9200/' + interruptedIndexName, json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert(helpers.elasticsearchBodyOk(body))
+					return next()
+				})
+			},
+			indexFirstArticle: function (next) {
+				var reqOpts = {
+					method: 'PUT',
+					url: 'http://localhost:9200/' + interruptedIndexName + '/articles/' + testArticles[0].id,
+					body: helpers.serializeModel(testArticles[0], {}),
+					json: true
+				}
+
+				request(reqOpts, function (err) {
+					return next(err)
+				})
+			},
+			saveCheckpoint: function (next) {
+				checkpoint.save(models.Article, 'articles', { indexName: interruptedIndexName, lastId: testArticles[1]._id, indexed: 1 }, {}, next)
+			},
+			resumeSync: function (next) {
+				models.Article.sync({ resume: true, verify: { sampleSize: 3, threshold: 0 } }, function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(report.resumed, true)
+					assert.equal(report.verification.expected, 2)
+					assert.equal(report.verification.indexed, 2)
+					assert.equal(report.verification.passed, true)
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				models.Article.remove({}, next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('concurrent Model.sync() calls should not race on the alias', function (done) {
+		async.series({
+			failWhenLocked: function (next) {
+				async.parallel([
+					function (parNext) { models.Cat.sync(function (err) { return parNext(null, err) }) },
+					function (parNext) { models.Cat.sync(function (err) { return parNext(null, err) }) }
+				], function (err, syncErrors) {
+					var lockedErrors = syncErrors.filter(function (syncError) {
+						return syncError && syncError.code === 'ELOCKED'
+					})
+
+					assert.equal(lockedErrors.length, 1)
+					assert.equal(syncErrors.filter(function (syncError) { return !syncError }).length, 1)
+
+					return next()
+				})
+			},
+			skipWhenLocked: function (next) {
+				async.parallel([
+					function (parNext) { models.Cat.sync(function (err, numSynced, report) { return parNext(err, report) }) },
+					function (parNext) { models.Cat.sync({ onLocked: 'skip' }, function (err, numSynced, report) { return parNext(err, report) }) }
+				], function (err, reports) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(reports[0].skipped, false)
+					assert.equal(reports[1].skipped, true)
+
+					return next()
+				})
+			},
+			waitWhenLocked: function (next) {
+				async.parallel([
+					function (parNext) { models.Cat.sync(function (err, numSynced, report) { return parNext(err, report) }) },
+					function (parNext) { models.Cat.sync({ onLocked: 'wait' }, function (err, numSynced, report) { return parNext(err, report) }) }
+				], function (err, reports) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(reports[0].skipped, false)
+					assert.equal(reports[1].skipped, false)
+					assert.notEqual(reports[0].indexName, reports[1].indexName)
+
+					return next()
+				})
+			},
+			checkAlias: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					var aliased = Object.keys(aliases).filter(function (indexName) {
+						return aliases[indexName].indexOf('cats') !== -1
+					})
+
+					assert.equal(aliased.length, 1)
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync({ verify: true }) should swap the alias only if the new index matches the collection', function (done) {
+		// `age` is mapped as a double, so elasticsearch rejects this document and the index comes up short
+		var badCatObj = {
+			name: 'unverified',
+			age: 'not a number',
+			_id: new ObjectID()
+		}
+
+		var liveIndexName = null
+		var db = null
+
+		function getLiveIndex (cb) {
+			testHelper.getAliases(function (err, aliases) {
+				return cb(Object.keys(aliases).filter(function (indexName) {
+					return aliases[indexName].indexOf('cats') !== -1
+				})[0])
+			})
+		}
+
+		async.series({
+			verifiedSync: function (next) {
+				models.Cat.sync({ verify: { sampleSize: 5 } }, function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(report.verification.passed, true)
+					assert.equal(report.verification.indexed, report.verification.expected)
+					assert.equal(report.verification.sampleMismatches.length, 0)
+
+					getLiveIndex(function (indexName) {
+						assert.equal(indexName, report.indexName)
+						liveIndexName = indexName
+						return next()
+					})
+				})
+			},
+			insertBadCat: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					db.collection('cats').insert(badCatObj, next)
+				})
+			},
+			failedVerification: function (next) {
+				models.Cat.sync({ verify: { threshold: 0 } }, function (err, numSynced) {
+					assert(err instanceof Error)
+					assert.equal(err.code, 'EVERIFY')
+					assert.equal(err.verification.passed, false)
+
+					getLiveIndex(function (indexName) {
+						// the alias was left alone
+						assert.equal(indexName, liveIndexName)
+						return next()
+					})
+				})
+			},
+			dryRun: function (next) {
+				models.Cat.sync({ dryRun: true }, function (err, numSynced, report) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(report.dryRun, true)
+
+					getLiveIndex(function (indexName) {
+						assert.equal(indexName, liveIndexName)
+						return next()
+					})
+				})
+			},
+			cleanup: function (next) {
+				db.collection('cats').remove({ _id: badCatObj._id }, function (err) {
+					db.close()
+					return next(err)
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.checkIndexConsistency() should report missing, extra and stale documents, and repair them', function (done) {
+		var missingCatObj = { name: 'missing', _id: new ObjectID() }
+		var extraId = new ObjectID().toString()
+		var staleCat = new models.Cat({ name: 'stale', age: 3 })
+
+		var db = null
+
+		async.series({
+			syncCat: function (next) {
+				models.Cat.sync(next)
+			},
+			saveStaleCat: function (next) {
+				testHelper.saveDocs([ staleCat ], next)
+			},
+			// bypass mongoose so that the index doesn't get updated
+			makeInconsistent: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+
+					async.series([
+						function (seriesNext) { db.collection('cats').insert(missingCatObj, seriesNext) },
+						function (seriesNext) { db.collection('cats').update({ _id: staleCat._id }, { $set: { age: 4 } }, seriesNext) }
+					], next)
+				})
+			},
+			indexExtraCat: function (next) {
+				var reqOpts = {
+					method: 'PUT',
+					url: 'http://localhost:9200/cats/cats/' + extraId,
+					json: { name: 'extra' }
+				}
+
+				request(reqOpts, function (err) {
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			refreshIndex: testHelper.refresh,
+			check: function (next) {
+				models.Cat.checkIndexConsistency(function (err, result) {
+					testHelper.assertErrNull(err)
+
+					assert.deepEqual(result.missing, [ missingCatObj._id.toString() ])
+					assert.deepEqual(result.extra, [ extraId ])
+					assert.deepEqual(result.stale, [ staleCat.id ])
+					assert.equal(result.repaired, null)
+
+					return next()
+				})
+			},
+			repair: function (next) {
+				models.Cat.checkIndexConsistency({ repair: true }, function (err, result) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(result.missingCount, 1)
+					assert.equal(result.extraCount, 1)
+					assert.equal(result.staleCount, 1)
+					assert.equal(result.missing, null)
+					assert.equal(result.repaired.indexed, 2)
+					assert.equal(result.repaired.deleted, 1)
+					assert.equal(result.repaired.failures.length, 0)
+
+					return next()
+				})
+			},
+			refreshAfterRepair: testHelper.refresh,
+			checkRepaired: function (next) {
+				models.Cat.checkIndexConsistency({ versionField: 'age' }, function (err, result) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(result.missing.length, 0)
+					assert.equal(result.extra.length, 0)
+					assert.equal(result.stale.length, 0)
+
+					return next()
+				})
+			},
+			cleanup: function (next) {
+				db.collection('cats').remove({ _id: { $in: [ missingCatObj._id, staleCat._id ] } }, function (err) {
+					db.close()
+					return next(err)
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.watchAndSync() should apply writes made outside mongoose to the index, and checkpoint the oplog position', function (done) {
+		var catObj = { name: 'watched', _id: new ObjectID() }
+
+		var db = null
+		var watcher = null
+
+		async.series({
+			syncCats: function (next) {
+				models.Cat.sync(next)
+			},
+			connect: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					return next()
+				})
+			},
+			watchAndInsert: function (next) {
+				watcher = models.Cat.watchAndSync({ flushInterval: 100 })
+
+				watcher.on('error', next)
+				watcher.once('batch', function (batch) {
+					assert.equal(batch.indexed, 1)
+					assert.equal(batch.deleted, 0)
+					assert.equal(batch.failures.length, 0)
+
+					return next()
+				})
+
+				// give the watcher time to open the oplog cursor
+				setTimeout(function () {
+					db.collection('cats').insert(catObj, function (err) {
+						testHelper.assertErrNull(err)
+					})
+				}, 500)
+			},
+			refreshIndex: testHelper.refresh,
+			searchInsertedCat: function (next) {
+				request({ url: 'http://localhost:9200/cats/_search?q=name:watched', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(body.hits.total, 1)
+					assert.equal(body.hits.hits[0]._id, catObj._id.toString())
+
+					return next()
+				})
+			},
+			remove: function (next) {
+				watcher.once('batch', function (batch) {
+					assert.equal(batch.indexed, 0)
+					assert.equal(batch.deleted, 1)
+
+					return next()
+				})
+
+				db.collection('cats').remove({ _id: catObj._id }, function (err) {
+					testHelper.assertErrNull(err)
+				})
+			},
+			refreshAfterRemove: testHelper.refresh,
+			searchRemovedCat: function (next) {
+				request({ url: 'http://localhost:9200/cats/_search?q=name:watched', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert.equal(body.hits.total, 0)
+					return next()
+				})
+			},
+			stop: function (next) {
+				watcher.removeAllListeners('error')
+				watcher.stop(next)
+			},
+			checkOplogPosition: function (next) {
+				checkpoint.loadOplogPosition(models.Cat, 'cats', {}, function (err, ts) {
+					testHelper.assertErrNull(err)
+
+					assert(ts)
+
+					db.close()
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.watchAndSync() should report a checkpoint that rolled off the oplog, or resync with `resync`', function (done) {
+		// a position older than any oplog entry
+		var rolledOffTs = new mongoose.mongo.Timestamp(0, 1)
+
+		var watcher = null
+
+		async.series({
+			saveRolledOffPosition: function (next) {
+				checkpoint.saveOplogPosition(models.Cat, 'cats', rolledOffTs, {}, next)
+			},
+			reportGap: function (next) {
+				watcher = models.Cat.watchAndSync()
+
+				watcher.once('error', function (err) {
+					assert.equal(err.code, 'EOPLOGGAP')
+
+					watcher.stop(next)
+				})
+			},
+			saveRolledOffPositionAgain: function (next) {
+				checkpoint.saveOplogPosition(models.Cat, 'cats', rolledOffTs, {}, next)
+			},
+			resync: function (next) {
+				watcher = models.Cat.watchAndSync({ resync: true })
+
+				watcher.on('error', next)
+				watcher.once('resync', function (report) {
+					assert(report.indexName)
+
+					watcher.removeAllListeners('error')
+					watcher.stop(next)
+				})
+			},
+			checkOplogPosition: function (next) {
+				checkpoint.loadOplogPosition(models.Cat, 'cats', {}, function (err, ts) {
+					testHelper.assertErrNull(err)
+
+					assert(ts.greaterThan(rolledOffTs))
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.watchAndSync() should checkpoint the newest oplog position while the collection has no changes', function (done) {
+		var db = null
+		var watcher = null
+		var startTs = null
+
+		async.series({
+			syncCats: function (next) {
+				models.Cat.sync(next)
+			},
+			connect: function (next) {
+				mongoClient.connect(connStr, function (err, connectedDb) {
+					testHelper.assertErrNull(err)
+
+					db = connectedDb
+					return next()
+				})
+			},
+			watch: function (next) {
+				watcher = models.Cat.watchAndSync({ checkpointInterval: 200 })
+
+				watcher.on('error', next)
+
+				// give the watcher time to open the oplog cursor
+				setTimeout(next, 500)
+			},
+			loadStartPosition: function (next) {
+				checkpoint.loadOplogPosition(models.Cat, 'cats', {}, function (err, ts) {
+					testHelper.assertErrNull(err)
+
+					startTs = ts
+					return next()
+				})
+			},
+			writeOtherCollection: function (next) {
+				db.collection('dogs').insert({ name: 'unwatched' }, next)
+			},
+			waitForCheckpoint: function (next) {
+				setTimeout(next, 500)
+			},
+			stop: function (next) {
+				watcher.removeAllListeners('error')
+				watcher.stop(next)
+			},
+			checkOplogPosition: function (next) {
+				checkpoint.loadOplogPosition(models.Cat, 'cats', {}, function (err, ts) {
+					testHelper.assertErrNull(err)
+
+					assert(ts)
+					assert(!startTs || ts.greaterThan(startTs))
+
+					db.close()
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync() with `keepVersions` should retain the previous version, and Model.rollbackIndex() should point the alias back at it', function (done) {
+		var versions = []
+
+		function getDogVersions (cb) {
+			testHelper.getAliases(function (err, aliases) {
+				var dogVersions = Object.keys(aliases).filter(function (indexName) {
+					return /^dogs-[0-9]+$/.test(indexName)
+				}).sort()
+
+				return cb(null, dogVersions, aliases)
+			})
+		}
+
+		async.series({
+			firstSync: function (next) {
+				models.Dog.sync(next)
+			},
+			secondSync: function (next) {
+				models.Dog.sync(next)
+			},
+			thirdSync: function (next) {
+				models.Dog.sync(next)
+			},
+			checkRetained: function (next) {
+				getDogVersions(function (err, dogVersions, aliases) {
+					// the live version plus one retained version
+					assert.equal(dogVersions.length, 2)
+					assert.deepEqual(aliases[dogVersions[0]], [])
+					assert.deepEqual(aliases[dogVersions[1]], [ 'dogs' ])
+
+					versions = dogVersions
+
+					return next()
+				})
+			},
+			rollback: function (next) {
+				models.Dog.rollbackIndex(function (err, indexName) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(indexName, versions[0])
+
+					return next()
+				})
+			},
+			checkRolledBack: function (next) {
+				getDogVersions(function (err, dogVersions, aliases) {
+					assert.deepEqual(dogVersions, versions)
+					assert.deepEqual(aliases[versions[0]], [ 'dogs' ])
+					assert.deepEqual(aliases[versions[1]], [])
+
+					return next()
+				})
+			},
+			rollbackWithoutPreviousVersion: function (next) {
+				models.Dog.rollbackIndex(function (err) {
+					assert(err instanceof Error)
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.rollbackIndex() after a sync that followed a rollback should go back to the last version that was live, not the rolled-back one', function (done) {
+		var versions = []
+
+		function getDogVersions (cb) {
+			testHelper.getAliases(function (err, aliases) {
+				var dogVersions = Object.keys(aliases).filter(function (indexName) {
+					return /^dogs-[0-9]+$/.test(indexName)
+				}).sort()
+
+				return cb(null, dogVersions, aliases)
+			})
+		}
+
+		async.series({
+			firstSync: function (next) {
+				models.Dog.sync(next)
+			},
+			secondSync: function (next) {
+				models.Dog.sync(next)
+			},
+			getVersions: function (next) {
+				getDogVersions(function (err, dogVersions) {
+					versions = dogVersions
+					return next()
+				})
+			},
+			rollback: function (next) {
+				models.Dog.rollbackIndex(function (err, indexName) {
+					testHelper.assertErrNull(err)
+
+					// the first sync's version is live again, the second sync's version is bad
+					assert.equal(indexName, versions[0])
+
+					return next()
+				})
+			},
+			thirdSync: function (next) {
+				models.Dog.sync(next)
+			},
+			checkRetained: function (next) {
+				getDogVersions(function (err, dogVersions, aliases) {
+					// the rolled-back version is deleted, the version that was live before the third sync is retained
+					assert.equal(dogVersions.length, 2)
+					assert.equal(dogVersions[0], versions[0])
+					assert.equal(dogVersions.indexOf(versions[1]), -1)
+					assert.deepEqual(aliases[dogVersions[1]], [ 'dogs' ])
+
+					return next()
+				})
+			},
+			rollbackAgain: function (next) {
+				models.Dog.rollbackIndex(function (err, indexName) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(indexName, versions[0])
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.rollbackIndex() should not run while a sync holds the lock on the alias', function (done) {
+		var syncLock = null
+
+		async.series({
+			sync: function (next) {
+				models.Dog.sync(next)
+			},
+			// as if a sync of the dogs was running
+			acquireLock: function (next) {
+				lock.acquire(models.Dog, 'dogs', {}, function (err, acquiredLock) {
+					syncLock = acquiredLock
+					return next(err)
+				})
+			},
+			rollbackFails: function (next) {
+				models.Dog.rollbackIndex(function (err) {
+					assert(err instanceof Error)
+					assert.equal(err.code, 'ELOCKED')
+
+					return next()
+				})
+			},
+			releaseLock: function (next) {
+				syncLock.release(next)
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync() should restore the configured replica count and refresh interval after populating the index', function (done) {
+		async.series({
+			syncCat: function (next) {
+				models.Cat.sync(next)
+			},
+			checkSettings: function (next) {
+				request({ url: 'http://localhost:9200/cats/_settings', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+
+					var indexName = Object.keys(body)[0]
+					var indexSettings = body[indexName].settings
+
+					// elasticsearch < 1.0 returns flat setting keys, later versions nest them
+					var replicas = indexSettings['index.number_of_replicas'] || indexSettings.index.number_of_replicas
+					var refreshInterval = indexSettings['index.refresh_interval'] || indexSettings.index.refresh_interval
+
+					assert.equal(replicas, '2')
+					assert.equal(refreshInterval, '1s')
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
+
+	it('Model.sync() should migrate a concrete index that exists under the alias name', function (done) {
+		async.series({
+			deleteCatIndex: function (next) {
+				request.del('http://localhost:9200/cats', function (err) {
+					testHelper.assertErrNull(err)
+					return next()
+				})
+			},
+			createConcreteIndex: function (next) {
+				request({ method: 'PUT', url: 'http://localhost:9200/cats', json: true }, function (err, res, body) {
+					testHelper.assertErrNull(err)
+					assert(helpers.elasticsearchBodyOk(body))
+					return next()
+				})
+			},
+			syncCat: function (next) {
+				models.Cat.sync(next)
+			},
+			checkAlias: function (next) {
+				testHelper.getAliases(function (err, aliases) {
+					// `cats` is now an alias rather than a concrete index
+					assert.equal(aliases.cats, undefined)
+
+					var aliased = Object.keys(aliases).filter(function (indexName) {
+						return aliases[indexName].indexOf('cats') !== -1
+					})
+
+					assert.equal(aliased.length, 1)
+					assert(/^cats-[0-9]+$/.test(aliased[0]))
+
+					return next()
+				})
+			},
+			searchCat: function (next) {
+				models.Cat.search({ query: 'nomnom' }, function (err, results) {
+					testHelper.assertErrNull(err)
+
+					assert.equal(results.total, 1)
+					assert.equal(results.hits[0]._source.name, 'nomnom')
+
+					return next()
+				})
+			}
+		}, function (err) {
+			testHelper.assertErrNull(err)
+			return done()
+		})
+	})
 })
\ No newline at end of file
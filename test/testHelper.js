@@ -58,6 +58,26 @@ exports.waitForYellowStatus = function (cb) {
 	})
 }
 
+/**
+ * Get the elasticsearch aliases of every index, call `cb` with an object of the form { indexName: [ aliasName ] }
+ *
+ * @param  {Function} cb
+ */
+exports.getAliases = function (cb) {
+	request({ url: 'http://localhost:9200/_aliases', json: true }, function (err, res, body) {
+		assert.equal(err, null)
+		assert(body)
+
+		var aliases = {}
+
+		Object.keys(body).forEach(function (indexName) {
+			aliases[indexName] = Object.keys(body[indexName].aliases || {})
+		})
+
+		return cb(null, aliases)
+	})
+}
+
 /**
  * Assert that `err` is null, output a helpful error message if not.
  *